@@ -0,0 +1,59 @@
+/**********************************************************\
+|                                                          |
+| common.gs                                                |
+|                                                          |
+| The guest sheet's names and the helpers shared by the    |
+| web app endpoints in guestbook.gs and tracking.gs.       |
+|                                                          |
+\**********************************************************/
+'use strict';
+/*
+ * Add this file to the Apps Script project of the guest spreadsheet, next to
+ * xxtea.gs (for LOOKUP_HASH) and the endpoints that use it. Apps Script loads
+ * every file of a project into one scope, so nothing needs to be imported.
+ */
+
+// The guest sheet and its lookup column, written with =LOOKUP_HASH(code, LOOKUP_KEY).
+var GUEST_SHEET = 'Invitados';
+var LOOKUP_COLUMN = 'Indice';
+var LOOKUP_KEY = 'bodas';
+
+/**
+ * Checks that a code belongs to a guest, through the guest sheet's lookup column.
+ *
+ * @param {string} code The invitation code.
+ * @return {boolean} True if a guest row has the code's lookup hash.
+ */
+function isInvitationCode(code) {
+  if (!code) return false;
+  var sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(GUEST_SHEET);
+  var rows = sheet.getDataRange().getDisplayValues();
+  var column = rows[0].indexOf(LOOKUP_COLUMN);
+  if (column < 0) throw new Error('The guest sheet has no ' + LOOKUP_COLUMN + ' column.');
+
+  var hash = LOOKUP_HASH(code, LOOKUP_KEY);
+  for (var i = 1; i < rows.length; i++) {
+    if (rows[i][column] === hash) return true;
+  }
+  return false;
+}
+
+/**
+ * Keeps the sheet from reading text as a formula.
+ *
+ * @param {string} text The guest's text.
+ * @return {string} The text, with a leading apostrophe if it starts like a formula.
+ */
+function asText(text) {
+  return /^[=+\-@]/.test(text) ? "'" + text : text;
+}
+
+/**
+ * Wraps a reply for the web app.
+ *
+ * @param {string} text The reply.
+ * @return {TextOutput} The reply as plain text.
+ */
+function textOutput(text) {
+  return ContentService.createTextOutput(text).setMimeType(ContentService.MimeType.TEXT);
+}
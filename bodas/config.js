@@ -0,0 +1,200 @@
+/**
+ * --------------------------------------------------------------------
+ * Invitation Configuration
+ * --------------------------------------------------------------------
+ * Everything that changes from one event to the next lives here, so the
+ * same page can run another wedding (or any other invitation) by
+ * replacing this file and the templates it names in index.html.
+ * 1. The names and date shown on the cover and back cover, and the languages.
+ * 2. The sections, in page order: which template each one uses, which
+ *    guest sheet column invites a guest to it and which row of the event
+ *    sheet fills it in.
+ * 3. The sheet URLs, the RSVP form and its entry IDs.
+ * 4. The guest sheet columns read by the organizer page.
+ * --------------------------------------------------------------------
+ */
+
+const invitationConfig = {
+    // Filled into the elements with a matching `data-config` attribute, e.g. <h3 data-config="couple">.
+    // Everything else on the page comes from the message catalogs in locales/ (see i18n.js).
+    text: {
+        title: 'Muriel & Abel',
+        couple: 'Muriel y Abel'
+    },
+
+    // The day shown on the cover (data-config="date"), formatted for the guest's language.
+    date: '2025-11-21',
+
+    // The language used when neither the link (?lang=), the guest's row nor the browser
+    // asks for one with a catalog. It is also the catalog missing messages fall back to.
+    locale: 'es-AR',
+    // The guest sheet column that may hold the guest's language, e.g. "en" or "pt-BR".
+    localeColumn: 'Idioma',
+
+    // The zone used for events whose row has no `Zona` column.
+    timeZone: 'America/Argentina/Buenos_Aires',
+
+    // The sections after the cover ('portada'), in page order.
+    // - id: the section's data-section name.
+    // - template: the <template> with its content. Sections with `parent` have none: their
+    //   content is the element with the same data-section inside the parent's section.
+    // - flag: the guest sheet column that must be "Si" for the guest to see the section.
+    //   Sections without a flag are shown to every guest.
+    // - event: the `Evento` value of the event sheet row with the date and place. Event
+    //   sections are left out when the sheet has no such row.
+    // - label: the message key (see locales/) naming the event in the invitation's list of events.
+    // - duration: the length of the calendar entry in minutes (see calendar.defaultDuration).
+    // - video: the `Evento` value of the row whose `Direccion` is a video to embed.
+    // - opensOn: the first day (YYYY-MM-DD, in `timeZone`) the section is shown.
+    sections: [
+        { id: 'invitacion', template: 'invitacion-template' },
+        { id: 'civil', template: 'civil-template', flag: 'Civil', event: 'civil', label: 'events.civil', duration: 60 },
+        { id: 'civil-recepcion', parent: 'civil', flag: 'Civil', event: 'civil-recepcion' },
+        { id: 'discurso', template: 'discurso-template', flag: 'Discurso', event: 'discurso', label: 'events.discurso', duration: 60, video: 'video' },
+        { id: 'fiesta', template: 'fiesta-template', flag: 'Recepcion', event: 'recepcion', label: 'events.recepcion', duration: 300 },
+        { id: 'contratapa', template: 'contratapa-template', centered: true },
+        { id: 'libro', template: 'libro-template', opensOn: '2025-11-21' }
+    ],
+
+    // The livestream of sections with `video` (see video.js). The video row's `Direccion` is the
+    // live stream, from YouTube, Vimeo or one of `embedHosts`, and shown around the section's event.
+    video: {
+        // The event sheet column of the video row with the recording, shown once the event is over.
+        replayColumn: 'Grabacion',
+        // Minutes before the start and after the end of the event during which the live stream is shown.
+        margin: 15,
+        // Other hosts whose https pages may be embedded as they are, e.g. 'www.facebook.com'.
+        embedHosts: []
+    },
+
+    // Calendar entries need an end time, but the sheet only has the start.
+    calendar: {
+        defaultDuration: 120
+    },
+
+    // The data source adapters (see data.js). `type` is the adapter used when
+    // the URL does not name one with `?source=`.
+    dataSource: {
+        type: 'sheets',
+        sheets: {
+            guestsUrl: 'https://docs.google.com/spreadsheets/d/e/2PACX-1vQcjtPM-3LNZFamySSe9rbVOjTu1pRSQ0Te5ILx6MmF9ClbBJUZvnfPHYsIg4_CclD_7ba0lv1QMdiZ/pub?output=csv',
+            eventsUrl: 'https://docs.google.com/spreadsheets/d/e/2PACX-1vQcjtPM-3LNZFamySSe9rbVOjTu1pRSQ0Te5ILx6MmF9ClbBJUZvnfPHYsIg4_CclD_7ba0lv1QMdiZ/pub?output=csv&gid=1404690345',
+            // The published CSV of the approved guestbook entries (see guestbook.gs); empty until it is published.
+            guestbookUrl: ''
+        },
+        static: {
+            guestsUrl: 'data/guests.csv',
+            eventsUrl: 'data/events.csv',
+            guestbookUrl: 'data/guestbook.csv'
+        },
+        memory: {
+            guests: [],
+            events: [],
+            guestbook: []
+        }
+    },
+
+    // The organizer page (organizador.html).
+    organizer: {
+        // The guest sheet column holding each group's code encrypted with the master key,
+        // e.g. =XXTEA_ENCRYPT(A2, "master key") or =ENCRYPT_V2(A2, "master key") from xxtea.gs.
+        column: 'Maestro',
+        // The guest sheet columns shown as event flags.
+        flags: ['Civil', 'Discurso', 'Recepcion', 'Video']
+    },
+
+    // The invitation generator (generador.html). Besides the columns it encrypts, the event flags and
+    // the columns the page reads (`localeColumn` and `rsvp.deadlineColumn`), it only copies these
+    // columns of the plaintext list into the published sheet. They are not encrypted there, so anyone
+    // with a link can read them: leave out phone numbers, addresses and notes.
+    generator: {
+        publicColumns: []
+    },
+
+    // The guest sheet column holding each code's lookup hash, written with =LOOKUP_HASH(code, key)
+    // from xxtea.gs. The key only keeps the hashes specific to this sheet; it is not a secret.
+    lookup: {
+        column: 'Indice',
+        key: 'bodas'
+    },
+
+    rsvp: {
+        // The guest sheet column that must be "Si" for the guest to be asked to confirm.
+        flag: 'Recepcion',
+        // The last day to answer or change the answer (YYYY-MM-DD, in `timeZone`). After it the
+        // form closes, and the organizer page counts unanswered groups as overdue.
+        deadline: '2025-11-01',
+        // The guest sheet column that may hold a later (or earlier) deadline for one group, as YYYY-MM-DD.
+        deadlineColumn: 'Plazo',
+        formUrl: 'https://docs.google.com/forms/d/e/1FAIpQLSdDEzeFAuX07jbAkmJHPwptyNHilQRdmfduBWLz1aD7_Ps_ZQ/formResponse',
+        // Google Form entry IDs, as in the form's "Get pre-filled link" URL. The detail fields
+        // (attendees to note) only appear once their question exists in the form and its ID is filled in.
+        entries: {
+            code: 'entry.641668059',    // Short answer: the invitation code.
+            answer: 'entry.746146577',  // Short answer: "Si" or "No".
+            attendees: '',  // Short answer: comma-separated names of the people attending.
+            headcount: '',  // Short answer: how many of them are attending.
+            dietary: '',    // Short answer: dietary restrictions.
+            note: ''        // Paragraph: a message to the couple.
+        },
+        // The guest sheet columns the form's answers are pulled into, if any. A sent answer only
+        // counts as received once these columns show the details sent with it, so sending the same
+        // answer again with other attendees or notes is not confirmed by the previous response.
+        // A detail is only compared when both its column and its entry ID above are filled in.
+        columns: {
+            attendees: 'Asistentes',
+            headcount: '',
+            dietary: '',
+            note: ''
+        },
+        // How often the guest sheet is checked after an RSVP is sent. Published sheets can take
+        // several minutes to reflect a new form response, so the delay doubles after each check.
+        poll: {
+            initialDelay: 5000,
+            maxDelay: 60000,
+            maxAttempts: 10
+        }
+    },
+
+    // The guestbook section ('libro'). Entries are posted to a Google Form's formResponse URL or
+    // to the web app of guestbook.gs, which can also take photos. Approved entries are read back
+    // from `guestbookUrl` of the data source. With the static and memory data sources they are
+    // posted to `previewUrl` instead, for trying the page out locally.
+    guestbook: {
+        formUrl: '',
+        // Where entries go with the preview data sources (?source=static or memory), to try the form
+        // without writing to the real guestbook: e.g. the web app of a copy of guestbook.gs bound to a
+        // test spreadsheet. Left empty, preview entries are not sent and the guest is thanked at once.
+        previewUrl: '',
+        // The names of the posted fields: Google Form entry IDs, or the parameters guestbook.gs reads.
+        // Photos can only be sent to guestbook.gs; leave `photos` empty for a Google Form.
+        entries: {
+            code: 'code',
+            name: 'name',
+            message: 'message',
+            photos: 'photo'
+        },
+        maxPhotos: 4,
+        // Photos are scaled down in the browser to at most this many pixels on their longest side.
+        photoSize: 1600
+    },
+
+    // Open tracking (see tracking.js): the first time an invitation is opened on a device, a ping
+    // is posted to `url`, the web app of guestbook.gs and tracking.gs or a Google Form's
+    // formResponse URL. Leave `url` empty to track nothing. UPDATE_OPENS (tracking.gs) copies each
+    // code's first open, and its first open on the newest device, into these guest sheet columns,
+    // which the organizer page shows.
+    tracking: {
+        url: '',
+        // The names of the posted fields: the parameters tracking.gs reads, or Google Form entry IDs.
+        entries: {
+            code: 'code',
+            event: 'event',
+            openedAt: 'openedAt',
+            locale: 'locale',
+            sections: 'sections'
+        },
+        firstOpenColumn: 'PrimeraApertura',
+        latestDeviceColumn: 'UltimoDispositivo'
+    }
+};
@@ -0,0 +1,153 @@
+/**
+ * --------------------------------------------------------------------
+ * Field Decryption
+ * --------------------------------------------------------------------
+ * Every cell of the published sheets is encrypted with the guest's code
+ * (or the event key). Two ciphertext formats exist side by side, so the
+ * sheets can be migrated column by column:
+ * 1. v1: plain Base64 of XXTEA output (XXTEA_ENCRYPT in xxtea.gs).
+ * 2. v2: "v2:" followed by Base64 of salt (16 bytes), IV (12 bytes) and
+ *    AES-256-GCM ciphertext with its tag, using a key derived from the
+ *    code with PBKDF2-SHA-256 (ENCRYPT_V2 in xxtea.gs).
+ * It also computes the keyed hash used to find a guest's row by code.
+ * Failures of named fields are kept in decryptFailures for the ?debug=1
+ * panel (see diagnostics.js); unnamed ones, such as trying a code on
+ * every row, are expected and not reported.
+ * --------------------------------------------------------------------
+ */
+
+// Parameters of the v2 format. They must match the V2_* constants in xxtea.gs.
+const V2_PREFIX = 'v2:';
+const V2_SALT_LENGTH = 16;
+const V2_IV_LENGTH = 12;
+const V2_TAG_LENGTH = 16;
+const V2_PBKDF2_ITERATIONS = 100000;
+
+// PBKDF2 base keys by password, so each code is only imported once.
+const v2BaseKeys = new Map();
+
+// Length in hex characters of the guest lookup hash. Must match LOOKUP_HASH_LENGTH in xxtea.gs.
+const LOOKUP_HASH_LENGTH = 16;
+
+// The named fields that did not decrypt, with why: {field, reason}.
+const decryptFailures = [];
+
+/**
+ * Error thrown when a field the invitation cannot do without does not decrypt,
+ * e.g. a guest row found by its lookup hash whose name was encrypted with another code.
+ */
+class DecryptError extends Error {
+    /**
+     * @param {string} field The field that did not decrypt, as named in decryptFailures.
+     */
+    constructor(field) {
+        super(`Could not decrypt ${field}.`);
+        this.name = 'DecryptError';
+        this.field = field;
+    }
+}
+
+/**
+ * Safely decrypts a field in either format, handling potential Base64 errors.
+ * @param {string} data The encrypted data string.
+ * @param {string} key The decryption key.
+ * @param {string} [field] A name for the field, e.g. 'Nombre' or 'fiesta Fecha'. Only named
+ *     fields are added to decryptFailures when they do not decrypt.
+ * @returns {Promise<string|null>} The decrypted string, or null if decryption fails.
+ */
+async function decryptField(data, key, field) {
+    if (typeof data !== 'string' || !data) {
+        return null;
+    }
+    // Base64 strings shouldn't contain spaces, but URL encoding or copy-paste errors can introduce them.
+    const sanitizedData = data.trim().replace(/ /g, '+');
+    let reason;
+    try {
+        const text = sanitizedData.startsWith(V2_PREFIX)
+            ? await decryptV2(sanitizedData.slice(V2_PREFIX.length), key)
+            : XXTEA.decryptFromBase64(sanitizedData, key);
+        if (text !== null) return text;
+        reason = 'wrong key or altered data';
+    } catch (e) {
+        // Not Base64, or too short to be a ciphertext.
+        reason = e.message;
+    }
+    if (field) decryptFailures.push({ field, reason });
+    return null;
+}
+
+/**
+ * Decodes standard Base64 into bytes.
+ * @param {string} base64 The Base64 text.
+ * @returns {Uint8Array} The decoded bytes.
+ * @throws {Error} If the text is not valid Base64.
+ */
+function base64ToBytes(base64) {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
+
+/**
+ * Derives the AES-GCM key for a v2 ciphertext from the code and the ciphertext's salt.
+ * @param {string} password The guest's code or the event key.
+ * @param {Uint8Array} salt The salt stored in the ciphertext.
+ * @returns {Promise<CryptoKey>} The AES-256-GCM key.
+ */
+async function deriveV2Key(password, salt) {
+    if (!v2BaseKeys.has(password)) {
+        v2BaseKeys.set(password, crypto.subtle.importKey('raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveKey']));
+    }
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', hash: 'SHA-256', salt, iterations: V2_PBKDF2_ITERATIONS },
+        await v2BaseKeys.get(password),
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['decrypt']
+    );
+}
+
+/**
+ * Decrypts the Base64 part of a v2 ciphertext. Unlike XXTEA, a wrong key or any
+ * change to the ciphertext is always detected by the GCM tag.
+ * @param {string} base64 The ciphertext without its "v2:" prefix.
+ * @param {string} key The decryption key.
+ * @returns {Promise<string|null>} The decrypted string, or null if the key is wrong or the data was altered.
+ * @throws {Error} If the data is not valid Base64 or too short to be a v2 ciphertext.
+ */
+async function decryptV2(base64, key) {
+    const bytes = base64ToBytes(base64);
+    if (bytes.length < V2_SALT_LENGTH + V2_IV_LENGTH + V2_TAG_LENGTH) {
+        throw new Error('v2 ciphertext is too short.');
+    }
+    const salt = bytes.subarray(0, V2_SALT_LENGTH);
+    const iv = bytes.subarray(V2_SALT_LENGTH, V2_SALT_LENGTH + V2_IV_LENGTH);
+    const ciphertext = bytes.subarray(V2_SALT_LENGTH + V2_IV_LENGTH);
+
+    try {
+        const aesKey = await deriveV2Key(key, salt);
+        const plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv, tagLength: V2_TAG_LENGTH * 8 }, aesKey, ciphertext);
+        return new TextDecoder().decode(plaintext);
+    } catch (e) {
+        // Web Crypto rejects with an OperationError when the tag does not match, i.e. for the wrong key.
+        if (e.name === 'OperationError') return null;
+        throw e;
+    }
+}
+
+/**
+ * Computes the lookup hash of an invitation code: the first LOOKUP_HASH_LENGTH hex
+ * characters of HMAC-SHA-256(key, code), as stored by LOOKUP_HASH in xxtea.gs.
+ * @param {string} code The short invitation code.
+ * @param {string} key The sheet's lookup key.
+ * @returns {Promise<string>} The lowercase hex hash.
+ */
+async function hashLookupCode(code, key) {
+    const encoder = new TextEncoder();
+    const hmacKey = await crypto.subtle.importKey('raw', encoder.encode(key), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+    const signature = new Uint8Array(await crypto.subtle.sign('HMAC', hmacKey, encoder.encode(code)));
+    return Array.from(signature, b => b.toString(16).padStart(2, '0')).join('').slice(0, LOOKUP_HASH_LENGTH);
+}
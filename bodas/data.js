@@ -0,0 +1,427 @@
+/**
+ * --------------------------------------------------------------------
+ * Data Sources
+ * --------------------------------------------------------------------
+ * Loads the guest and event rows the invitation is built from, and the
+ * approved entries of its guestbook.
+ * 1. Google Sheets: the published CSV exports (the live invitation).
+ * 2. Static files: local guests.csv/events.csv (or .json) for previews.
+ * 3. In memory: rows or CSV text handed over directly, for tests.
+ * The adapter is chosen by the configuration's `type` (see config.js) or the `?source=` query parameter.
+ * When offline, the service worker may answer with the last good data instead,
+ * which is flagged on the data source as `servedFromCache`.
+ * Each data source also keeps its fetch attempts and the size of what it
+ * loaded, for the ?debug=1 panel (see diagnostics.js).
+ * The CSV helpers also write files, for the organizer and generator pages' downloads,
+ * and parseGuestNames and getRsvpDeadline read guest row cells for every page.
+ * --------------------------------------------------------------------
+ */
+
+// Set by the service worker (sw.js) on responses served from its copy of the last good data.
+const DATA_CACHE_HEADER = 'X-Served-From-Cache';
+
+/**
+ * Error thrown by fetchWithRetry when every attempt failed, whether the network
+ * was down or the server kept answering with an error status.
+ */
+class NetworkError extends Error {
+    /**
+     * @param {string} url The URL that could not be fetched.
+     * @param {number} attempts How many times it was tried.
+     * @param {number|null} status The HTTP status of the last attempt, or null if it got no response.
+     */
+    constructor(url, attempts, status) {
+        super(`Failed to fetch ${url} after ${attempts} attempts.`);
+        this.name = 'NetworkError';
+        this.url = url;
+        this.status = status;
+    }
+}
+
+/**
+ * Fetches a resource with a specified number of retries to handle transient network issues.
+ * @param {string} url The URL to fetch.
+ * @param {Object} [options]
+ * @param {number} [options.retries=3] The number of times to retry on failure.
+ * @param {boolean} [options.cacheBust=false] Whether to add a timestamp parameter to bypass caches.
+ * @param {Array<Object>} [options.attempts] Where to note each attempt: {url, attempt, status, error, ms}.
+ * @returns {Promise<Response>} A promise that resolves with the response.
+ * @throws {NetworkError} If no attempt got a successful response.
+ */
+async function fetchWithRetry(url, { retries = 3, cacheBust = false, attempts = [] } = {}) {
+    let status = null;
+    for (let i = 0; i < retries; i++) {
+        const startedAt = performance.now();
+        const attempt = { url, attempt: i + 1, status: null, error: null, ms: 0 };
+        attempts.push(attempt);
+        try {
+            const requestUrl = new URL(url, document.baseURI);
+            if (cacheBust) {
+                // Append a timestamp to the URL to prevent browser caching.
+                requestUrl.searchParams.set('_', Date.now());
+            }
+            const response = await fetch(requestUrl.href, { cache: 'no-cache' });
+            attempt.status = status = response.status;
+            attempt.ms = performance.now() - startedAt;
+            if (response.ok) {
+                return response;
+            }
+            console.warn(`Fetch attempt ${i + 1} failed with status: ${response.status}`);
+        } catch (error) {
+            attempt.error = error.message;
+            attempt.ms = performance.now() - startedAt;
+            status = null;
+            console.warn(`Fetch attempt ${i + 1} failed with error:`, error);
+        }
+    }
+    throw new NetworkError(url, retries, status);
+}
+
+/**
+ * Error thrown by parseCsv when the input is not well-formed CSV.
+ * The row and column point at the offending character (both 1-based),
+ * so the problem can be found directly in the published sheet.
+ */
+class CsvParseError extends Error {
+    /**
+     * @param {string} reason A description of the problem.
+     * @param {number} row The line number where the problem was found.
+     * @param {number} column The character position within that line.
+     */
+    constructor(reason, row, column) {
+        super(`Malformed CSV at row ${row}, column ${column}: ${reason}`);
+        this.name = 'CsvParseError';
+        this.row = row;
+        this.column = column;
+    }
+}
+
+/**
+ * Splits CSV text into records of raw field values following RFC 4180.
+ * Handles quoted fields with embedded commas, quotes ("") and line breaks,
+ * CRLF or LF line endings and a leading byte order mark.
+ * @param {string} csvText The raw CSV string.
+ * @returns {Array<{fields: string[], row: number}>} The records, each with the line it starts on.
+ * @throws {CsvParseError} If a quoted field is not closed or a quote appears in an unexpected place.
+ */
+function tokenizeCsv(csvText) {
+    const text = csvText.charCodeAt(0) === 0xFEFF ? csvText.slice(1) : csvText;
+    const records = [];
+    let fields = [];
+    let field = '';
+    let isQuoted = false; // The current field started with a quote.
+    let inQuotes = false; // We are between the opening and closing quote.
+    let row = 1;
+    let column = 0;
+    let recordRow = 1;
+    let quoteRow = 1;
+    let quoteColumn = 0;
+
+    const endField = () => {
+        fields.push(isQuoted ? field : field.trim());
+        field = '';
+        isQuoted = false;
+    };
+    const endRecord = () => {
+        endField();
+        // Blank lines carry no data; the old parser skipped them as well.
+        if (fields.length > 1 || fields[0] !== '') {
+            records.push({ fields, row: recordRow });
+        }
+        fields = [];
+    };
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        column++;
+
+        if (inQuotes) {
+            if (char === '"') {
+                if (text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                    column++;
+                } else {
+                    inQuotes = false;
+                }
+            } else {
+                field += char;
+                if (char === '\n') {
+                    row++;
+                    column = 0;
+                }
+            }
+            continue;
+        }
+
+        if (char === ',') {
+            endField();
+        } else if (char === '\r' || char === '\n') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            endRecord();
+            row++;
+            column = 0;
+            recordRow = row;
+        } else if (isQuoted) {
+            // Only a delimiter or a line break may follow a closing quote.
+            if (char !== ' ' && char !== '\t') {
+                throw new CsvParseError(`unexpected character '${char}' after closing quote`, row, column);
+            }
+        } else if (char === '"') {
+            if (field.trim() !== '') {
+                throw new CsvParseError('unexpected quote inside an unquoted field', row, column);
+            }
+            field = '';
+            isQuoted = true;
+            inQuotes = true;
+            quoteRow = row;
+            quoteColumn = column;
+        } else {
+            field += char;
+        }
+    }
+
+    if (inQuotes) {
+        throw new CsvParseError('quoted field is never closed', quoteRow, quoteColumn);
+    }
+    endRecord();
+    return records;
+}
+
+/**
+ * Parses a CSV string into an array of objects, using the first record as the header row.
+ * @param {string} csvText The raw CSV string.
+ * @returns {Array<Object>} An array of objects, where each object represents a row.
+ * @throws {CsvParseError} If the CSV is malformed or a row has more cells than there are headers.
+ */
+function parseCsv(csvText) {
+    const records = tokenizeCsv(csvText);
+    if (records.length < 1) return [];
+
+    const headers = records[0].fields;
+    return records.slice(1).map(({ fields, row }) => {
+        if (fields.length > headers.length) {
+            throw new CsvParseError(`expected ${headers.length} cells but found ${fields.length}`, row, 1);
+        }
+        const rowObject = {};
+        headers.forEach((header, index) => {
+            rowObject[header] = fields[index];
+        });
+        return rowObject;
+    });
+}
+
+
+/**
+ * Quotes a value for a CSV cell when it needs it.
+ * @param {*} value The value.
+ * @returns {string} The CSV cell.
+ */
+function escapeCsvCell(value) {
+    const text = String(value ?? '');
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Formats rows as CSV text, the reverse of tokenizeCsv.
+ * @param {Array<Array<*>>} rows The records, the header row first.
+ * @returns {string} The CSV text, with CRLF line endings.
+ */
+function formatCsv(rows) {
+    return rows.map(row => row.map(escapeCsvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Offers a CSV file for download. The byte order mark lets spreadsheet programs detect UTF-8.
+ * @param {string} contents The CSV text.
+ * @param {string} fileName The file name.
+ */
+function downloadCsv(contents, fileName) {
+    const blob = new Blob(['\uFEFF' + contents], { type: 'text/csv;charset=utf-8' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Splits a cell listing names, such as `Invitados` or `Asistentes`, into the names.
+ * Shared by the invitation, the organizer page and the generator.
+ * @param {string|null|undefined} names The comma-separated names.
+ * @returns {string[]} The trimmed, non-empty names.
+ */
+function parseGuestNames(names) {
+    return (names || '').split(',').map(name => name.trim()).filter(name => name);
+}
+
+/**
+ * Finds the last day a guest can answer: their own date in the deadline column, or the configured one.
+ * Shared by the invitation and the organizer page, so both ignore the same malformed dates.
+ * @param {Object} guestInfo The guest's row.
+ * @returns {string} The day as YYYY-MM-DD.
+ */
+function getRsvpDeadline(guestInfo) {
+    const { deadline, deadlineColumn } = invitationConfig.rsvp;
+    const ownDeadline = deadlineColumn ? guestInfo[deadlineColumn]?.trim() : '';
+    if (!ownDeadline) return deadline;
+    if (/^\d{4}-\d{2}-\d{2}$/.test(ownDeadline)) return ownDeadline;
+    console.warn(`Ignoring the ${deadlineColumn} column, which is not a YYYY-MM-DD date:`, ownDeadline);
+    return deadline;
+}
+
+/**
+ * Turns the text of a data file into rows.
+ * @param {string} text The file contents.
+ * @param {string} format Either 'csv' or 'json' (an array of row objects).
+ * @param {string} source Which data set this is ('guest', 'event' or 'guestbook'), reported on parse errors.
+ * @returns {Array<Object>} The parsed rows.
+ */
+function parseRows(text, format, source) {
+    try {
+        return format === 'json' ? JSON.parse(text) : parseCsv(text);
+    } catch (error) {
+        error.source = source;
+        throw error;
+    }
+}
+
+/**
+ * Guesses the format of a data file from its URL.
+ * @param {string} url The file URL.
+ * @returns {string} 'json' for .json files, 'csv' otherwise.
+ */
+function formatFromUrl(url) {
+    return new URL(url, document.baseURI).pathname.toLowerCase().endsWith('.json') ? 'json' : 'csv';
+}
+
+/**
+ * Notes on the data source how many rows and columns a data set had.
+ * @param {Object} dataSource The data source the rows were loaded for.
+ * @param {string} source Which data set this is ('guest', 'event' or 'guestbook').
+ * @param {Array<Object>} rows The parsed rows.
+ * @returns {Array<Object>} The same rows.
+ */
+function countRows(dataSource, source, rows) {
+    dataSource.rowCounts[source] = { rows: rows.length, columns: rows.length > 0 ? Object.keys(rows[0]).length : 0 };
+    return rows;
+}
+
+/**
+ * Fetches a data file and parses it into rows, noting on the data source when
+ * the service worker answered with its saved copy instead of fresh data.
+ * @param {Object} dataSource The data source the rows are loaded for.
+ * @param {string} url The file URL.
+ * @param {string} source Which data set this is ('guest', 'event' or 'guestbook').
+ * @param {Object} [fetchOptions] Options passed on to fetchWithRetry.
+ * @returns {Promise<Array<Object>>} The parsed rows.
+ */
+async function loadRows(dataSource, url, source, fetchOptions) {
+    const response = await fetchWithRetry(url, { ...fetchOptions, attempts: dataSource.fetchAttempts });
+    if (response.headers.get(DATA_CACHE_HEADER)) {
+        dataSource.servedFromCache = true;
+    }
+    return countRows(dataSource, source, parseRows(await response.text(), formatFromUrl(url), source));
+}
+
+/**
+ * Creates the adapter for the published Google Sheets, the source used by the live invitation.
+ * @param {Object} options
+ * @param {string} options.guestsUrl The CSV export URL of the guest sheet.
+ * @param {string} options.eventsUrl The CSV export URL of the event sheet.
+ * @param {string} [options.guestbookUrl] The CSV export URL of the approved guestbook entries.
+ * @returns {{name: string, servedFromCache: boolean, fetchAttempts: Array<Object>, rowCounts: Object,
+ *     loadGuests: Function, loadEvents: Function, loadGuestbook: Function}} The data source.
+ */
+function createSheetsDataSource({ guestsUrl, eventsUrl, guestbookUrl }) {
+    // Google serves published sheets with long cache lifetimes, so every request is cache-busted.
+    const dataSource = {
+        name: 'sheets',
+        servedFromCache: false,
+        fetchAttempts: [],
+        rowCounts: {},
+        loadGuests: () => loadRows(dataSource, guestsUrl, 'guest', { cacheBust: true }),
+        loadEvents: () => loadRows(dataSource, eventsUrl, 'event', { cacheBust: true }),
+        loadGuestbook: async () => guestbookUrl ? loadRows(dataSource, guestbookUrl, 'guestbook', { cacheBust: true }) : []
+    };
+    return dataSource;
+}
+
+/**
+ * Creates an adapter for data files served next to the page, such as data/guests.csv.
+ * Files ending in .json must contain an array of row objects with the same columns as the sheets.
+ * @param {Object} options
+ * @param {string} options.guestsUrl The URL of the guest file.
+ * @param {string} options.eventsUrl The URL of the event file.
+ * @param {string} [options.guestbookUrl] The URL of the approved guestbook entries.
+ * @returns {{name: string, servedFromCache: boolean, fetchAttempts: Array<Object>, rowCounts: Object,
+ *     loadGuests: Function, loadEvents: Function, loadGuestbook: Function}} The data source.
+ */
+function createStaticDataSource({ guestsUrl, eventsUrl, guestbookUrl }) {
+    const dataSource = {
+        name: 'static',
+        servedFromCache: false,
+        fetchAttempts: [],
+        rowCounts: {},
+        loadGuests: () => loadRows(dataSource, guestsUrl, 'guest'),
+        loadEvents: () => loadRows(dataSource, eventsUrl, 'event'),
+        loadGuestbook: async () => guestbookUrl ? loadRows(dataSource, guestbookUrl, 'guestbook') : []
+    };
+    return dataSource;
+}
+
+/**
+ * Creates an adapter that serves rows held in memory, for tests.
+ * Each data set may be given as an array of row objects or as CSV text.
+ * @param {Object} options
+ * @param {Array<Object>|string} [options.guests=[]] The guest rows.
+ * @param {Array<Object>|string} [options.events=[]] The event rows.
+ * @param {Array<Object>|string} [options.guestbook=[]] The approved guestbook entries.
+ * @returns {{name: string, servedFromCache: boolean, fetchAttempts: Array<Object>, rowCounts: Object,
+ *     loadGuests: Function, loadEvents: Function, loadGuestbook: Function}} The data source.
+ */
+function createMemoryDataSource({ guests = [], events = [], guestbook = [] } = {}) {
+    // Copies are handed out so callers cannot modify the fixtures between loads.
+    const load = (data, source) => Promise.resolve()
+        .then(() => typeof data === 'string' ? parseRows(data, 'csv', source) : data.map(row => ({ ...row })))
+        .then(rows => countRows(dataSource, source, rows));
+
+    const dataSource = {
+        name: 'memory',
+        servedFromCache: false,
+        fetchAttempts: [],
+        rowCounts: {},
+        loadGuests: () => load(guests, 'guest'),
+        loadEvents: () => load(events, 'event'),
+        loadGuestbook: () => load(guestbook, 'guestbook')
+    };
+    return dataSource;
+}
+
+/**
+ * Creates the data source named by the `?source=` query parameter, or by the configuration.
+ * @param {Object} config The data source configuration, e.g. `invitationConfig.dataSource`.
+ * @param {URLSearchParams} [params] The page's query parameters.
+ * @returns {{name: string, servedFromCache: boolean, fetchAttempts: Array<Object>, rowCounts: Object,
+ *     loadGuests: Function, loadEvents: Function, loadGuestbook: Function}} The data source.
+ */
+function createDataSource(config, params = new URLSearchParams(window.location.search)) {
+    const type = params.get('source') || config.type;
+    switch (type) {
+        case 'sheets':
+            return createSheetsDataSource(config.sheets);
+        case 'static':
+            return createStaticDataSource(config.static);
+        case 'memory':
+            return createMemoryDataSource(config.memory);
+        default:
+            if (type !== config.type) {
+                console.warn(`Unknown data source "${type}", using "${config.type}" instead.`);
+                return createDataSource(config, new URLSearchParams());
+            }
+            throw new Error(`Unknown data source "${type}".`);
+    }
+}
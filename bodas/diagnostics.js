@@ -0,0 +1,155 @@
+/**
+ * --------------------------------------------------------------------
+ * Errors and Diagnostics
+ * --------------------------------------------------------------------
+ * Tells the guest, and the organizers, what went wrong.
+ * 1. Each kind of failure has its own error class and its own message
+ *    for the guest (see getErrorMessageId): the network (NetworkError,
+ *    data.js), a sheet that cannot be parsed (CsvParseError, data.js), an
+ *    unknown code (InvitationNotFoundError), a field that does not decrypt
+ *    (DecryptError, crypto.js) and a template missing from the page
+ *    (MissingTemplateError).
+ * 2. With ?debug=1 a panel lists the fetch attempts, the rows and columns
+ *    of each sheet, the fields that did not decrypt, how long each stage
+ *    of the page load took and the errors, for guests to send a screenshot.
+ * --------------------------------------------------------------------
+ */
+
+/**
+ * Error thrown when the invitation code in the link matches no guest row.
+ */
+class InvitationNotFoundError extends Error {
+    constructor() {
+        super('No guest row matches the invitation code.');
+        this.name = 'InvitationNotFoundError';
+    }
+}
+
+/**
+ * Error thrown when the page lacks a template it was configured to use,
+ * e.g. a section in invitationConfig.sections whose template was renamed.
+ */
+class MissingTemplateError extends Error {
+    /**
+     * @param {string} templateId The ID of the missing template.
+     */
+    constructor(templateId) {
+        super(`The page has no template "${templateId}".`);
+        this.name = 'MissingTemplateError';
+        this.templateId = templateId;
+    }
+}
+
+/**
+ * Timing of each stage of the page load and the errors shown to the guest, for the ?debug=1 panel.
+ */
+const invitationDiagnostics = {
+    stages: [],
+    errors: []
+};
+
+/**
+ * Picks the message shown to the guest for an error.
+ * @param {Error} error The error that stopped the invitation.
+ * @returns {string} The ID of the message template.
+ */
+function getErrorMessageId(error) {
+    if (error instanceof NetworkError) return 'connection-error-message';
+    if (error instanceof InvitationNotFoundError) return 'not-found-message';
+    if (error instanceof DecryptError) return 'decrypt-error-message';
+    if (error instanceof MissingTemplateError) return 'page-error-message';
+    // Parse errors, JSON files that are not JSON and anything unexpected are problems with the data.
+    return 'data-error-message';
+}
+
+/**
+ * Notes an error shown to the guest, for the ?debug=1 panel.
+ * @param {Error} error The error.
+ */
+function recordError(error) {
+    invitationDiagnostics.errors.push(error);
+}
+
+/**
+ * Runs a stage of the page load and notes how long it took, even if it fails.
+ * @param {string} name The stage, e.g. 'load guests'.
+ * @param {Function} work The stage; may return a promise.
+ * @returns {Promise<*>} What the stage returned.
+ */
+async function measureStage(name, work) {
+    const startedAt = performance.now();
+    const stage = { name, ms: 0, failed: false };
+    invitationDiagnostics.stages.push(stage);
+    try {
+        return await work();
+    } catch (error) {
+        stage.failed = true;
+        throw error;
+    } finally {
+        stage.ms = performance.now() - startedAt;
+    }
+}
+
+/**
+ * Checks whether the link asks for the diagnostics panel.
+ * @param {URLSearchParams} [params] The page's query parameters.
+ * @returns {boolean} True with ?debug=1.
+ */
+function isDebugMode(params = new URLSearchParams(window.location.search)) {
+    return params.get('debug') === '1';
+}
+
+/**
+ * Describes the page load as plain text, for the diagnostics panel.
+ * @param {Object|null} dataSource The data source, with its fetchAttempts and rowCounts (see data.js);
+ *     null if it could not be created.
+ * @param {{stages: Array<Object>, errors: Array<Error>}} diagnostics The stages and errors, as in invitationDiagnostics.
+ * @param {Array<{field: string, reason: string}>} failures The fields that did not decrypt (see crypto.js).
+ * @returns {string} The report.
+ */
+function buildDebugReport(dataSource, { stages, errors }, failures) {
+    const lines = [`Data source: ${dataSource ? dataSource.name : 'none'}${dataSource?.servedFromCache ? ' (offline copy)' : ''}`];
+
+    lines.push('', 'Fetch attempts:');
+    (dataSource?.fetchAttempts || []).forEach(({ url, attempt, status, error, ms }) => {
+        lines.push(`  #${attempt} ${url}: ${error || status || 'pending'}${ms ? ` in ${Math.round(ms)} ms` : ''}`);
+    });
+    if (!dataSource?.fetchAttempts.length) lines.push('  none');
+
+    lines.push('', 'Rows:');
+    Object.entries(dataSource?.rowCounts || {}).forEach(([source, { rows, columns }]) => {
+        lines.push(`  ${source}: ${rows} rows, ${columns} columns`);
+    });
+    if (Object.keys(dataSource?.rowCounts || {}).length === 0) lines.push('  none');
+
+    lines.push('', 'Fields not decrypted:');
+    failures.forEach(({ field, reason }) => lines.push(`  ${field}: ${reason}`));
+    if (failures.length === 0) lines.push('  none');
+
+    lines.push('', 'Stages:');
+    stages.forEach(({ name, ms, failed }) => lines.push(`  ${name}: ${Math.round(ms)} ms${failed ? ' (failed)' : ''}`));
+
+    lines.push('', 'Errors:');
+    errors.forEach(error => lines.push(`  ${error.name}: ${error.message} -> ${getErrorMessageId(error)}`));
+    if (errors.length === 0) lines.push('  none');
+    return lines.join('\n');
+}
+
+/**
+ * Shows the diagnostics panel, with ?debug=1.
+ * @param {Object|null} dataSource The data source the page was loaded from.
+ */
+function showDebugPanel(dataSource) {
+    if (!isDebugMode()) return;
+    const template = document.getElementById('debug-panel-template');
+    if (!template) {
+        console.error(new MissingTemplateError('debug-panel-template'));
+        return;
+    }
+
+    document.getElementById('debug-panel')?.remove();
+    const panel = template.content.cloneNode(true).firstElementChild;
+    panel.querySelector('.debug-report').textContent = buildDebugReport(dataSource, invitationDiagnostics, decryptFailures);
+    panel.querySelector('.debug-close').addEventListener('click', () => panel.remove());
+    document.body.appendChild(panel);
+}
@@ -0,0 +1,205 @@
+/**
+ * --------------------------------------------------------------------
+ * Invitation Generator
+ * --------------------------------------------------------------------
+ * Turns the organizers' plaintext guest list into the published guest
+ * sheet, in the browser and without sending anything anywhere.
+ * 1. Every group without a `Codigo` gets a new random code, made of
+ *    letters and digits that cannot be mistaken for one another.
+ * 2. `Codigo`, `Nombre` and `Invitados` are encrypted with the code and
+ *    `Eventos` holds the event key encrypted with it, as XXTEA_ENCRYPT in
+ *    xxtea.gs would. The lookup hash and, with a master key, the organizer
+ *    column are added as well (see invitationConfig.lookup and .organizer).
+ * 3. It lists each group's personal link and its QR code, to download
+ *    or print.
+ * The keys and the plaintext list are only kept in memory while the page is open.
+ * --------------------------------------------------------------------
+ */
+
+// Letters and digits for new codes, without 0/o, 1/i/l, which read alike.
+const CODE_ALPHABET = 'abcdefghjkmnpqrstuvwxyz23456789';
+
+// The generated groups: the published row, the plaintext code, name and link.
+let generatedGroups = [];
+
+/**
+ * Main entry point. Fires after the initial HTML document has been completely loaded and parsed.
+ */
+document.addEventListener('DOMContentLoaded', () => {
+    const form = document.getElementById('generator-form');
+    // The organizers try the generated links in this browser; those visits should not count as opened.
+    markOrganizerBrowser();
+    document.getElementById('base-url-input').value = new URL('./', window.location.href).href;
+
+    form.addEventListener('submit', async (event) => {
+        event.preventDefault();
+        const submitButton = form.querySelector('button[type="submit"]');
+        submitButton.disabled = true;
+        showGeneratorStatus('Generando…');
+        try {
+            const file = document.getElementById('guests-file-input').files[0];
+            const rows = parseCsv(await file.text());
+            generatedGroups = await generateGroups(rows, {
+                eventKey: document.getElementById('event-key-input').value,
+                masterKey: document.getElementById('master-key-input').value,
+                baseUrl: document.getElementById('base-url-input').value,
+                codeLength: parseInt(document.getElementById('code-length-input').value, 10)
+            });
+            showGeneratorStatus(`${generatedGroups.length} ${generatedGroups.length === 1 ? 'grupo generado' : 'grupos generados'}.`);
+            renderLinks();
+        } catch (error) {
+            console.error('Could not generate the guest sheet:', error);
+            showGeneratorStatus(error instanceof CsvParseError
+                ? `No se pudo leer la lista de invitados (fila ${error.row}: ${error.message}).`
+                : error.message);
+        } finally {
+            submitButton.disabled = false;
+        }
+    });
+
+    document.getElementById('download-sheet-btn').addEventListener('click', () => {
+        downloadCsv(buildPublishedCsv(generatedGroups), 'invitados-publicados.csv');
+    });
+    document.getElementById('download-links-btn').addEventListener('click', () => {
+        downloadCsv(buildLinksCsv(generatedGroups), 'enlaces.csv');
+    });
+    document.getElementById('print-btn').addEventListener('click', () => window.print());
+});
+
+/**
+ * Shows a message below the generator form.
+ * @param {string} message The message.
+ */
+function showGeneratorStatus(message) {
+    const status = document.getElementById('generator-status');
+    status.textContent = message;
+    status.classList.remove('hidden');
+}
+
+/**
+ * Generates a random invitation code.
+ * @param {number} length The number of characters.
+ * @returns {string} The code.
+ */
+function generateCode(length) {
+    // Bytes of 248 and above are dropped, so every character is equally likely.
+    const limit = 256 - 256 % CODE_ALPHABET.length;
+    let code = '';
+    while (code.length < length) {
+        const bytes = crypto.getRandomValues(new Uint8Array(length * 2));
+        for (const byte of bytes) {
+            if (byte < limit && code.length < length) code += CODE_ALPHABET[byte % CODE_ALPHABET.length];
+        }
+    }
+    return code;
+}
+
+/**
+ * Encrypts the plaintext guest rows into the published format.
+ * @param {Array<Object>} rows The plaintext rows. `Nombre` is required; `Codigo` is kept if filled in.
+ * @param {Object} options
+ * @param {string} options.eventKey The event key, stored in every row's `Eventos`.
+ * @param {string} [options.masterKey] The master key for the organizer column; left empty without one.
+ * @param {string} options.baseUrl The address of the invitation, which the links add `?i=` to.
+ * @param {number} [options.codeLength=6] The length of new codes.
+ * @returns {Promise<Array<{code: string, name: string, link: string, row: Object}>>} The groups, in input order.
+ * @throws {Error} If a row has no `Nombre`, two rows share a code, or no event key was given.
+ */
+async function generateGroups(rows, { eventKey, masterKey, baseUrl, codeLength = 6 }) {
+    if (!eventKey) throw new Error('Falta la clave de eventos.');
+
+    const usedCodes = new Set();
+    rows.forEach((row, index) => {
+        if (!row.Nombre) throw new Error(`La fila ${index + 2} no tiene Nombre.`);
+        const code = row.Codigo?.trim();
+        if (!code) return;
+        if (usedCodes.has(code)) throw new Error(`El código "${code}" está repetido.`);
+        usedCodes.add(code);
+    });
+
+    return Promise.all(rows.map(async (row) => {
+        let code = row.Codigo?.trim();
+        if (!code) {
+            do {
+                code = generateCode(codeLength);
+            } while (usedCodes.has(code));
+            usedCodes.add(code);
+        }
+
+        const published = { ...row };
+        published.Codigo = XXTEA.encryptToBase64(code, code);
+        published.Nombre = XXTEA.encryptToBase64(row.Nombre, code);
+        published.Invitados = XXTEA.encryptToBase64(row.Invitados || '', code);
+        published.Cantidad = row.Cantidad || String(parseGuestNames(row.Invitados).length);
+        published.Eventos = XXTEA.encryptToBase64(eventKey, code);
+        published[invitationConfig.lookup.column] = await hashLookupCode(code, invitationConfig.lookup.key);
+        published[invitationConfig.organizer.column] = masterKey ? XXTEA.encryptToBase64(code, masterKey) : '';
+
+        const link = new URL(baseUrl);
+        link.searchParams.set('i', code);
+        return { code, name: row.Nombre, link: link.href, row: published };
+    }));
+}
+
+/**
+ * Lists the columns of the plaintext list that are published as they are: the ones the
+ * invitation reads (e.g. `Idioma`) and invitationConfig.generator.publicColumns.
+ * @returns {string[]} The column names.
+ */
+function getPublicColumns() {
+    return [invitationConfig.localeColumn, invitationConfig.rsvp.deadlineColumn, ...invitationConfig.generator.publicColumns]
+        .filter(column => column);
+}
+
+/**
+ * Builds the published guest sheet: the invitation's columns first, then the public columns
+ * (see getPublicColumns) that the plaintext list has. Any other column stays out of it.
+ * @param {Array<Object>} groups The groups from generateGroups.
+ * @returns {string} The CSV text.
+ */
+function buildPublishedCsv(groups) {
+    const columns = [
+        'Codigo', 'Nombre', 'Invitados', 'Cantidad', ...invitationConfig.organizer.flags,
+        'Confirmado', 'Eventos', invitationConfig.lookup.column, invitationConfig.organizer.column
+    ];
+    getPublicColumns().forEach(column => {
+        if (!columns.includes(column) && groups.some(group => column in group.row)) columns.push(column);
+    });
+    return formatCsv([columns, ...groups.map(group => columns.map(column => group.row[column]))]);
+}
+
+/**
+ * Builds the list of personal links, to send them or merge them into other documents.
+ * @param {Array<Object>} groups The groups from generateGroups.
+ * @returns {string} The CSV text.
+ */
+function buildLinksCsv(groups) {
+    return formatCsv([['Nombre', 'Codigo', 'Enlace'], ...groups.map(group => [group.name, group.code, group.link])]);
+}
+
+/**
+ * Shows each group's link and QR code.
+ */
+function renderLinks() {
+    const template = document.getElementById('link-card-template');
+    const list = document.getElementById('link-list');
+    list.innerHTML = '';
+
+    generatedGroups.forEach(group => {
+        const card = template.content.cloneNode(true).firstElementChild;
+        card.querySelector('.name').textContent = group.name;
+        card.querySelector('.code').textContent = group.code;
+        const link = card.querySelector('.link');
+        link.href = group.link;
+        link.textContent = group.link;
+
+        const svg = qrCodeToSvg(createQrCode(group.link));
+        card.querySelector('.qr').innerHTML = svg;
+        const download = card.querySelector('.qr-download');
+        download.href = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+        download.download = `qr-${group.code}.svg`;
+        list.appendChild(card);
+    });
+
+    document.getElementById('results').classList.remove('hidden');
+}
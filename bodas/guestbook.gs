@@ -0,0 +1,85 @@
+/**********************************************************\
+|                                                          |
+| guestbook.gs                                             |
+|                                                          |
+| The guestbook endpoint: a web app that receives the      |
+| entries posted by the invitation's guestbook form.       |
+|                                                          |
+\**********************************************************/
+'use strict';
+/*
+ * Setup, in the Apps Script project of the guest spreadsheet that has xxtea.gs
+ * and common.gs, which has the guest sheet's names and the helpers used here:
+ * 1. Add a sheet named as GUESTBOOK_SHEET with the header row
+ *    Fecha, Codigo, Nombre, Mensaje, Fotos, Aprobado.
+ * 2. Create a Drive folder for the photos and put its ID in PHOTO_FOLDER_ID.
+ * 3. Deploy the project as a web app that runs as you and that anyone can access,
+ *    and put its /exec URL in invitationConfig.guestbook.formUrl (config.js).
+ * 4. Add a sheet with only the approved entries, e.g.
+ *    =QUERY(Libro!A:F, "select A, C, D, E where F = 'Si' order by A", 1)
+ *    publish it as CSV and put its URL in invitationConfig.dataSource.sheets.guestbookUrl.
+ * Entries are approved by writing "Si" in their Aprobado cell. The Codigo column
+ * stays in the private sheet, so the published wall never shows invitation codes.
+ * A project has a single doPost, so this one also receives the open pings of
+ * tracking.js, which are told apart by their event parameter (see tracking.gs).
+ */
+
+var GUESTBOOK_SHEET = 'Libro';
+var PHOTO_FOLDER_ID = '';
+var MAX_PHOTOS = 4;
+var MAX_NAME_LENGTH = 100;
+var MAX_MESSAGE_LENGTH = 2000;
+
+/**
+ * Receives a guestbook entry: the parameters code, name, message and any number of
+ * photo parameters, each a JPEG data URL. Requests with an event parameter are
+ * open pings, which go to recordOpen in tracking.gs.
+ *
+ * @param {Object} e The POST event.
+ * @return {TextOutput} "OK", or "ERROR: ..." if the entry was not saved.
+ */
+function doPost(e) {
+  var params = (e && e.parameter) || {};
+  if (params.event) return recordOpen(params);
+
+  var code = String(params.code || '').trim();
+  var name = String(params.name || '').trim().slice(0, MAX_NAME_LENGTH);
+  var message = String(params.message || '').trim().slice(0, MAX_MESSAGE_LENGTH);
+  var photos = ((e && e.parameters && e.parameters.photo) || []).slice(0, MAX_PHOTOS);
+
+  if (!message) return textOutput('ERROR: The message is empty.');
+  if (!isInvitationCode(code)) return textOutput('ERROR: Unknown invitation code.');
+
+  var lock = LockService.getScriptLock();
+  lock.waitLock(30000);
+  try {
+    var links = photos.map(function (photo, index) {
+      return savePhoto(photo, code + '-' + new Date().getTime() + '-' + (index + 1) + '.jpg');
+    });
+    var sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(GUESTBOOK_SHEET);
+    // A leading = would make the sheet read the guest's text as a formula.
+    sheet.appendRow([new Date(), code, asText(name), asText(message), links.join(' '), '']);
+    return textOutput('OK');
+  } catch (err) {
+    return textOutput('ERROR: ' + err.message);
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Saves a photo in the photo folder, viewable by anyone with the link.
+ *
+ * @param {string} dataUrl The photo as a JPEG data URL.
+ * @param {string} fileName The name of the file in Drive.
+ * @return {string} The link the wall shows the photo with.
+ */
+function savePhoto(dataUrl, fileName) {
+  var match = /^data:image\/jpeg;base64,([A-Za-z0-9+\/=]+)$/.exec(String(dataUrl));
+  if (!match) throw new Error('A photo is not a JPEG data URL.');
+
+  var blob = Utilities.newBlob(Utilities.base64Decode(match[1]), 'image/jpeg', fileName);
+  var file = DriveApp.getFolderById(PHOTO_FOLDER_ID).createFile(blob);
+  file.setSharing(DriveApp.Access.ANYONE_WITH_LINK, DriveApp.Permission.VIEW);
+  return 'https://drive.google.com/thumbnail?id=' + file.getId() + '&sz=w1600';
+}
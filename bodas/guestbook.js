@@ -0,0 +1,203 @@
+/**
+ * --------------------------------------------------------------------
+ * Guestbook
+ * --------------------------------------------------------------------
+ * The section ('libro') where guests leave a message, and photos, once
+ * the wedding has taken place (see `opensOn` in invitationConfig.sections).
+ * 1. The form posts to invitationConfig.guestbook.formUrl, or previewUrl
+ *    with the preview data sources, with the guest's invitation code, and
+ *    only thanks the guest once the entry was received. Photos are scaled
+ *    down and sent as JPEG data URLs (see guestbook.gs).
+ * 2. The wall shows the approved entries from the data source's
+ *    `loadGuestbook`: the columns Nombre, Mensaje, Fotos (links separated
+ *    by spaces or commas) and, if present, Aprobado, which must be "Si".
+ * --------------------------------------------------------------------
+ */
+
+const PHOTO_QUALITY = 0.8;
+
+/**
+ * Sets up the guestbook form and fills in the wall.
+ * @param {HTMLElement} section The guestbook section.
+ * @param {Object} guestInfo The guest's decrypted data object.
+ * @param {string} code The short invitation code from the URL.
+ * @param {Object} dataSource The data source the wall is read from.
+ */
+function setupGuestbook(section, guestInfo, code, dataSource) {
+    const { formUrl, previewUrl, entries, maxPhotos } = invitationConfig.guestbook;
+    const form = section.querySelector('.guestbook-form');
+    // The preview data sources post to their own endpoint, if any, never to the real guestbook.
+    const isPreview = dataSource.name !== 'sheets';
+    const url = isPreview ? previewUrl : formUrl;
+
+    if (form && (formUrl || isPreview)) {
+        form.querySelector('.guestbook-code').name = entries.code;
+        form.querySelector('.guestbook-code').value = code;
+        form.querySelector('.guestbook-name').name = entries.name;
+        form.querySelector('.guestbook-name').value = guestInfo.Nombre || '';
+        form.querySelector('.guestbook-message').name = entries.message;
+
+        const photosField = form.querySelector('.guestbook-photos-field');
+        if (entries.photos) {
+            const label = photosField.querySelector('label');
+            label.dataset.i18nParams = JSON.stringify({ max: maxPhotos });
+            translateElement(label);
+            photosField.classList.remove('hidden');
+        }
+
+        form.addEventListener('submit', (event) => {
+            event.preventDefault();
+            submitGuestbookEntry(section, form, url);
+        });
+        form.classList.remove('hidden');
+    } else if (form) {
+        form.remove();
+    }
+
+    showGuestbookWall(section, dataSource);
+}
+
+/**
+ * Checks and sends a guestbook entry, then thanks the guest, or says it could not be sent.
+ * @param {HTMLElement} section The guestbook section.
+ * @param {HTMLFormElement} form The guestbook form.
+ * @param {string} url The endpoint to post to; empty to send nothing (previews without one).
+ */
+async function submitGuestbookEntry(section, form, url) {
+    const { entries, maxPhotos, photoSize } = invitationConfig.guestbook;
+    const button = form.querySelector('button[type="submit"]');
+    const error = form.querySelector('.guestbook-error');
+    const files = Array.from(form.querySelector('.guestbook-photos')?.files || []);
+
+    const hasTooManyPhotos = entries.photos && files.length > maxPhotos;
+    error.textContent = hasTooManyPhotos ? t('guestbook.tooManyPhotos', { max: maxPhotos }) : '';
+    error.classList.toggle('hidden', !hasTooManyPhotos);
+    if (button.disabled || hasTooManyPhotos || !form.reportValidity()) return;
+
+    button.disabled = true;
+    button.textContent = t('guestbook.sending');
+    try {
+        form.querySelectorAll('.guestbook-photo').forEach(input => input.remove());
+        if (entries.photos) {
+            for (const file of files) {
+                const input = document.createElement('input');
+                input.type = 'hidden';
+                input.className = 'guestbook-photo';
+                input.name = entries.photos;
+                input.value = await resizePhoto(file, photoSize);
+                form.appendChild(input);
+            }
+        }
+
+        // The file input has no name, so only the resized photos are sent.
+        if (url) await postGuestbookEntry(url, new URLSearchParams(new FormData(form)));
+        form.classList.add('hidden');
+        section.querySelector('.guestbook-thanks').classList.remove('hidden');
+    } catch (submitError) {
+        console.error('Could not send the guestbook entry:', submitError);
+        error.textContent = t('guestbook.failed');
+        error.classList.remove('hidden');
+    } finally {
+        button.disabled = false;
+        translateElement(button);
+    }
+}
+
+/**
+ * Posts a guestbook entry and waits for the reply.
+ * @param {string} url The web app of guestbook.gs, or a Google Form's formResponse URL.
+ * @param {URLSearchParams} body The entry's fields.
+ * @returns {Promise<void>} Resolves once the entry was received.
+ * @throws {Error} If the request failed or guestbook.gs did not save the entry.
+ */
+async function postGuestbookEntry(url, body) {
+    // Google Forms do not let other sites read their reply; getting one at all is all there is to check.
+    if (new URL(url, document.baseURI).pathname.endsWith('/formResponse')) {
+        await fetch(url, { method: 'POST', body, mode: 'no-cors' });
+        return;
+    }
+    const response = await fetch(url, { method: 'POST', body });
+    const reply = (await response.text()).trim();
+    if (!response.ok || reply !== 'OK') {
+        throw new Error(`The guestbook endpoint replied ${response.status}: ${reply.slice(0, 200)}`);
+    }
+}
+
+/**
+ * Scales a photo down to fit a square and encodes it as JPEG.
+ * @param {File} file The photo the guest chose.
+ * @param {number} maxSize The longest side in pixels.
+ * @returns {Promise<string>} The photo as a data URL.
+ */
+async function resizePhoto(file, maxSize) {
+    const image = await createImageBitmap(file);
+    const scale = Math.min(1, maxSize / Math.max(image.width, image.height));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(image.width * scale);
+    canvas.height = Math.round(image.height * scale);
+    canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+    image.close();
+    return canvas.toDataURL('image/jpeg', PHOTO_QUALITY);
+}
+
+/**
+ * Reads the photo links of an entry, keeping only https links and links to this site.
+ * @param {string|undefined} fotos The `Fotos` cell.
+ * @returns {string[]} The photo URLs.
+ */
+function parsePhotoLinks(fotos) {
+    return (fotos || '').split(/[\s,]+/).filter(link => link).flatMap(link => {
+        try {
+            const url = new URL(link, document.baseURI);
+            return url.protocol === 'https:' || url.origin === window.location.origin ? [url.href] : [];
+        } catch (error) {
+            return [];
+        }
+    });
+}
+
+/**
+ * Shows the approved guestbook entries, newest first.
+ * @param {HTMLElement} section The guestbook section.
+ * @param {Object} dataSource The data source the entries are read from.
+ */
+async function showGuestbookWall(section, dataSource) {
+    const wall = section.querySelector('.guestbook-wall');
+    const list = wall?.querySelector('.guestbook-entries');
+    const template = document.getElementById('guestbook-entry-template');
+    if (!list || !template) return;
+
+    let rows;
+    try {
+        rows = await dataSource.loadGuestbook();
+    } catch (error) {
+        // The wall is an extra; the rest of the section works without it.
+        console.warn('Could not load the guestbook:', error);
+        return;
+    }
+
+    const approved = rows.filter(row => row.Mensaje?.trim() && (!('Aprobado' in row) || row.Aprobado?.trim().toLowerCase() === 'si'));
+    list.innerHTML = '';
+    approved.reverse().forEach(row => {
+        const entry = template.content.cloneNode(true).firstElementChild;
+        const name = row.Nombre?.trim() || '';
+        entry.querySelector('.message').textContent = row.Mensaje.trim();
+        entry.querySelector('.author').textContent = name;
+        const photos = entry.querySelector('.photos');
+        parsePhotoLinks(row.Fotos).forEach(url => {
+            const link = document.createElement('a');
+            link.href = url;
+            link.target = '_blank';
+            link.rel = 'noopener';
+            const image = document.createElement('img');
+            image.src = url;
+            image.loading = 'lazy';
+            image.alt = name ? t('guestbook.photoBy', { name }) : '';
+            link.appendChild(image);
+            photos.appendChild(link);
+        });
+        list.appendChild(entry);
+    });
+    wall.querySelector('.guestbook-empty').classList.toggle('hidden', approved.length > 0);
+    wall.classList.remove('hidden');
+}
@@ -0,0 +1,142 @@
+/**
+ * --------------------------------------------------------------------
+ * Internationalization
+ * --------------------------------------------------------------------
+ * Every text on the page comes from a message catalog per language
+ * (locales/es.js, locales/en.js, ...), each registered in `localeCatalogs`.
+ * 1. The locale is taken from `?lang=`, the guest's row, the browser's
+ *    languages or the configured default, in that order.
+ * 2. Templates name their messages with data attributes, filled in when
+ *    a template is cloned (see translateElement):
+ *    - data-i18n="key": the element's text.
+ *    - data-i18n-html="key": the element's HTML, for messages with links or emphasis.
+ *    - data-i18n-attr="placeholder=key, aria-label=key": attribute values.
+ *    - data-i18n-count="guest event": the named counts (see setPluralCount)
+ *      that choose between the message's plural forms, outermost first.
+ *    - data-i18n-params='{"date": "..."}': placeholder values, as JSON.
+ * 3. A message is a string with `{name}` placeholders, or an object of
+ *    Intl.PluralRules categories ('one', 'other', ...) holding messages.
+ * --------------------------------------------------------------------
+ */
+
+// Message catalogs by language, filled in by the files in locales/.
+const localeCatalogs = {};
+
+// The current locale. `locale` is the full tag used for Intl (e.g. 'en-GB'),
+// `language` the catalog it reads its messages from (e.g. 'en').
+const i18n = {
+    locale: 'es-AR',
+    language: 'es',
+    // The named counts of data-i18n-count, e.g. { guest: 2, event: 3 }.
+    counts: {}
+};
+
+/**
+ * Picks the first locale with a catalog.
+ * @param {Array<string|null|undefined>} candidates Locale tags in order of preference, e.g. 'pt-BR' or 'en'.
+ * @returns {{locale: string, language: string}|null} The locale and its catalog's language, or null if none has a catalog.
+ */
+function resolveLocale(candidates) {
+    for (const candidate of candidates) {
+        if (!candidate) continue;
+        try {
+            const locale = Intl.getCanonicalLocales(candidate.trim())[0];
+            const language = locale.split('-')[0].toLowerCase();
+            if (localeCatalogs[language]) return { locale, language };
+        } catch (error) {
+            console.warn(`Ignoring invalid locale "${candidate}".`);
+        }
+    }
+    return null;
+}
+
+/**
+ * Chooses the page's locale and translates the elements already on the page.
+ * @param {string|null} [guestLocale] The locale from the guest's row, if any.
+ */
+function chooseLocale(guestLocale = null) {
+    const lang = new URLSearchParams(window.location.search).get('lang');
+    const browserLocales = navigator.languages?.length ? navigator.languages : [navigator.language];
+    const resolved = resolveLocale([lang, guestLocale, ...browserLocales, invitationConfig.locale])
+        || { locale: invitationConfig.locale, language: invitationConfig.locale.split('-')[0] };
+
+    i18n.locale = resolved.locale;
+    i18n.language = resolved.language;
+    document.documentElement.lang = resolved.locale;
+    translateElement(document.body);
+}
+
+/**
+ * Looks up a message and fills in its placeholders.
+ * @param {string} key The message key, e.g. 'rsvp.heading'.
+ * @param {Object} [params] The placeholder values. `count` (or `counts`, outermost first)
+ *     chooses between plural forms and can be used as `{count}`.
+ * @returns {string} The message, or the key itself if no catalog has it.
+ */
+function t(key, params = {}) {
+    const fallback = localeCatalogs[invitationConfig.locale.split('-')[0]] || {};
+    let message = localeCatalogs[i18n.language]?.[key] ?? fallback[key];
+    if (message === undefined) {
+        console.warn(`Missing message "${key}" for ${i18n.language}.`);
+        return key;
+    }
+
+    const counts = params.counts || (params.count !== undefined ? [params.count] : []);
+    const pluralRules = new Intl.PluralRules(i18n.locale);
+    for (let i = 0; typeof message === 'object' && message !== null; i++) {
+        const count = counts[i];
+        message = message[count === undefined ? 'other' : pluralRules.select(count)] ?? message.other;
+    }
+
+    return String(message).replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? String(params[name]) : match));
+}
+
+/**
+ * Fills the elements below (and including) root that name a message.
+ * @param {ParentNode} root The element or fragment to translate.
+ */
+function translateElement(root) {
+    const select = selector => [...(root.matches?.(selector) ? [root] : []), ...root.querySelectorAll(selector)];
+    // The element's counts choose the plural forms (the first one is also `{count}`); its params fill the placeholders.
+    const paramsOf = element => {
+        const counts = (element.dataset.i18nCount || '').split(/\s+/).filter(name => name).map(name => i18n.counts[name]);
+        const params = element.dataset.i18nParams ? JSON.parse(element.dataset.i18nParams) : {};
+        return { ...params, counts, count: counts[0] };
+    };
+
+    select('[data-i18n]').forEach(element => {
+        element.textContent = t(element.dataset.i18n, paramsOf(element));
+    });
+    select('[data-i18n-html]').forEach(element => {
+        // Catalogs are part of the site, so their markup is trusted.
+        element.innerHTML = t(element.dataset.i18nHtml, paramsOf(element));
+    });
+    select('[data-i18n-attr]').forEach(element => {
+        element.dataset.i18nAttr.split(',').forEach(pair => {
+            const [attribute, key] = pair.split('=').map(part => part.trim());
+            if (attribute && key) element.setAttribute(attribute, t(key, paramsOf(element)));
+        });
+    });
+}
+
+/**
+ * Sets a named count and updates the messages that depend on it, e.g. the
+ * singular or plural forms of address for a group of guests.
+ * @param {string} name The count's name, as used in data-i18n-count (e.g. 'guest', 'event').
+ * @param {number} count The count.
+ */
+function setPluralCount(name, count) {
+    i18n.counts[name] = count;
+    document.querySelectorAll('[data-i18n-count]').forEach(element => {
+        if (element.dataset.i18nCount.split(/\s+/).includes(name)) translateElement(element);
+    });
+}
+
+/**
+ * Joins items into a readable list in the current locale, e.g. "Ana, Juan y Sofía".
+ * @param {string[]} items The items to join.
+ * @returns {string} The joined list.
+ */
+function formatList(items) {
+    return new Intl.ListFormat(i18n.locale, { style: 'long', type: 'conjunction' }).format(items);
+}
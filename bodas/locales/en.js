@@ -0,0 +1,132 @@
+/**
+ * --------------------------------------------------------------------
+ * English Messages
+ * --------------------------------------------------------------------
+ * Messages missing here fall back to Spanish (see i18n.js).
+ * --------------------------------------------------------------------
+ */
+
+localeCatalogs.en = {
+    'offline.notice': 'Offline: showing saved data',
+
+    'nav.previous': 'Previous section',
+    'nav.next': 'Next section',
+    'nav.goTo': 'Go to section {number}',
+    'nav.up': 'Scroll up',
+    'nav.down': 'Scroll down',
+    'nav.carousel': 'carousel',
+    'nav.slide': 'section',
+    'nav.sections': 'Sections',
+    'nav.position': '{number} of {total}',
+    'nav.current': 'Section {number} of {total}: {title}',
+
+    'error.noCode.title': 'We could not find your invitation',
+    'error.noCode.text': 'If you were invited, the address may not have been entered correctly. Please check the invitation we sent you and use the link in it. Thank you.',
+    'error.connection.title': 'Connection error',
+    'error.connection.text': 'The invitation could not be loaded. Please check your internet connection and reload the page.',
+    'error.data.title': 'Data error',
+    'error.data.text': 'The invitation could not be processed. Please try reloading the page or get in touch with us.',
+    'error.notFound.title': 'Invitation not found',
+    'error.notFound.text': 'This link does not match any invitation. Please check that it is complete, exactly as we sent it, or get in touch with us.',
+    'error.decrypt.title': 'We could not open your invitation',
+    'error.decrypt.text': 'We found your invitation, but could not read its details. Please get in touch with us so we can look into it.',
+    'error.page.title': 'Page error',
+    'error.page.text': 'Part of the invitation page is missing. Please let us know so we can fix it.',
+
+    'cover.heading': 'Our wedding',
+    'cover.thanks': 'Thank you for sharing this special day with us!',
+
+    'invitation.for': 'Invitation for',
+    'invitation.guests': { one: 'Guest:', other: 'Guests:' },
+    'invitation.guestCount': { one: '({count} guest)', other: '({count} guests)' },
+    'invitation.events': 'You are invited to the',
+    'invitation.nextPages': {
+        one: 'You will find the details of the event on the next page.',
+        other: 'You will find the details of the events on the following pages.'
+    },
+    'invitation.moreInfo.title': 'More information',
+    'invitation.moreInfo.text': 'To learn more about what our wedding will be like, we invite you to read this article on JW.org: <a href="https://www.jw.org/finder?srcid=jwlshare&wtlocale=E&prefer=lang&docid=501400102" target="_blank">What Are Jehovah’s Witness Weddings Like?</a>',
+
+    'events.civil': 'civil ceremony',
+    'events.discurso': 'wedding talk',
+    'events.recepcion': 'wedding reception',
+
+    'civil.title': 'Civil ceremony',
+    'civilRecepcion.title': 'Civil ceremony reception',
+    'discurso.title': 'Wedding talk',
+    'discurso.video': 'Live stream',
+    'fiesta.title': 'Wedding reception',
+
+    'video.startsIn': 'The live stream starts in {parts}.',
+    'video.ended': 'The live stream has ended.',
+    'video.openInTab': 'Open in a new tab',
+
+    'event.date': 'Date:',
+    'event.time': 'Time:',
+    'event.place': 'Venue:',
+    'event.address': 'Address:',
+    'event.map': 'View on the map',
+    'event.notes': 'Good to know:',
+    'event.directions': 'Directions:',
+    'event.otherApp': 'Other app',
+    'event.share': 'Share location',
+    'event.copied': 'Location copied',
+    'event.copyFailed': 'Could not copy',
+    'event.dateTbd': 'to be confirmed',
+    'event.localTime': '({zone} time; {time} in your time zone)',
+    'event.now': 'now',
+    'event.next': 'next',
+
+    'calendar.add': 'Add to calendar',
+    'calendar.addAll': { one: 'Add the event to your calendar', other: 'Add all the events to your calendar' },
+    'calendar.description': 'Invitation: {url}',
+
+    'countdown.days': { one: '{count} day', other: '{count} days' },
+    'countdown.hours': { one: '{count} hour', other: '{count} hours' },
+    'countdown.minutes': { one: '{count} minute', other: '{count} minutes' },
+    'countdown.left': '{parts} to go',
+    'countdown.soon': 'Less than a minute to go',
+
+    'rsvp.heading': 'Please RSVP',
+    'rsvp.deadline': 'Please let us know whether you can come <strong>by {date}</strong> (for the wedding reception only).',
+    'rsvp.attendees': 'Who is coming?',
+    'rsvp.attendeesError': 'Please select at least one person.',
+    'rsvp.companion': 'Companion {number}',
+    'rsvp.dietary': 'Dietary requirements',
+    'rsvp.dietaryPlaceholder': 'Vegetarian, gluten-free, allergies…',
+    'rsvp.note': 'A message for the couple (optional)',
+    'rsvp.yes': { one: 'Yes, I’ll be there!', other: 'Yes, we’ll be there!' },
+    'rsvp.no': { one: 'I can’t make it', other: 'We can’t make it' },
+    'rsvp.confirmed.title': 'You have already replied',
+    'rsvp.confirmed.text': 'Thank you for letting us know you are coming. We look forward to seeing you!',
+    'rsvp.confirmed.attendees': 'Coming:',
+    'rsvp.confirmed.count': '({count} of {total})',
+    'rsvp.declined.title': 'You let us know you can’t come.',
+    'rsvp.declined.text': 'We are sorry you can’t join us. Thank you for letting us know!',
+    'rsvp.pending.title': 'Thank you for your reply!',
+    'rsvp.pending.text': 'We are recording your reply. This may take a few minutes; there is no need to reload the page.',
+    'rsvp.retry.text': 'We could not check that your reply arrived.',
+    'rsvp.retry.button': 'Send again',
+    'rsvp.change.text': 'If your plans change, you can update your reply until {date}.',
+    'rsvp.change.button': 'Change reply',
+    'rsvp.closed.title': 'Replies are closed',
+    'rsvp.closed.text': 'The deadline to reply was {date}. If you would still like to come, please get in touch with us.',
+
+    'guestbook.title': 'Guestbook',
+    'guestbook.intro': 'Leave us a message and, if you like, your photos of the wedding.',
+    'guestbook.name': 'Name',
+    'guestbook.message': 'Message',
+    'guestbook.photos': 'Photos (optional, up to {max})',
+    'guestbook.tooManyPhotos': 'Please choose up to {max} photos.',
+    'guestbook.send': 'Send',
+    'guestbook.sending': 'Sending…',
+    'guestbook.failed': 'The message could not be sent. Please try again.',
+    'guestbook.thanks': 'Thank you! Your message will appear here once we have seen it.',
+    'guestbook.wall': 'Messages',
+    'guestbook.empty': 'No messages yet.',
+    'guestbook.photoBy': 'Photo by {name}',
+
+    'print.map': 'Map:',
+    'print.video': 'Live stream:',
+    'print.rsvp': 'To let us know whether you can come, open your invitation:'
+};
@@ -0,0 +1,173 @@
+/**
+ * --------------------------------------------------------------------
+ * Spanish Messages
+ * --------------------------------------------------------------------
+ * The catalog every other language falls back to (see i18n.js).
+ * Messages that address the guests have a 'one' form for a single
+ * guest (vos) and an 'other' form for a group (ustedes).
+ * --------------------------------------------------------------------
+ */
+
+localeCatalogs.es = {
+    'offline.notice': 'Sin conexión: mostrando datos guardados',
+
+    'nav.previous': 'Sección anterior',
+    'nav.next': 'Sección siguiente',
+    'nav.goTo': 'Ir a la sección {number}',
+    'nav.up': 'Subir',
+    'nav.down': 'Bajar',
+    'nav.carousel': 'carrusel',
+    'nav.slide': 'sección',
+    'nav.sections': 'Secciones',
+    'nav.position': '{number} de {total}',
+    'nav.current': 'Sección {number} de {total}: {title}',
+
+    'error.noCode.title': 'No encontramos tu invitación',
+    'error.noCode.text': 'Si fuiste invitado, es posible que no hayas ingresado la dirección correctamente. Por favor, revisá la invitación que te enviamos y usá el enlace que se encuentra allí. Gracias.',
+    'error.connection.title': 'Error de conexión',
+    'error.connection.text': 'No se pudo cargar la información de la invitación. Por favor, revisá tu conexión a internet y recargá la página.',
+    'error.data.title': 'Error de datos',
+    'error.data.text': 'No se pudo procesar la información de la invitación. Por favor, intentá recargar la página o contactanos.',
+    'error.notFound.title': 'Invitación no encontrada',
+    'error.notFound.text': 'El enlace no corresponde a ninguna invitación. Revisá que esté completo, tal como te lo enviamos, o contactanos.',
+    'error.decrypt.title': 'No pudimos abrir tu invitación',
+    'error.decrypt.text': 'Encontramos tu invitación, pero no pudimos leer sus datos. Por favor, contactanos para que lo revisemos.',
+    'error.page.title': 'Error en la página',
+    'error.page.text': 'Falta una parte de la página de la invitación. Por favor, avisanos para que lo arreglemos.',
+
+    'cover.heading': 'Nuestra boda',
+    'cover.thanks': '¡Gracias por acompañarnos en este día tan especial!',
+
+    'invitation.for': 'Invitación para',
+    'invitation.guests': { one: 'Invitado:', other: 'Invitados:' },
+    'invitation.guestCount': { one: '({count} invitado)', other: '({count} invitados)' },
+    'invitation.events': 'Invitación para',
+    'invitation.nextPages': {
+        one: {
+            one: 'En la página siguiente encontrarás información sobre el evento.',
+            other: 'En las páginas siguientes encontrarás información sobre los eventos.'
+        },
+        other: {
+            one: 'En la página siguiente encontrarán información sobre el evento.',
+            other: 'En las páginas siguientes encontrarán información sobre los eventos.'
+        }
+    },
+    'invitation.moreInfo.title': 'Más información',
+    'invitation.moreInfo.text': {
+        one: 'Para conocer mejor cómo van a ser nuestras bodas, te invitamos a leer el siguiente artículo de JW.org: <a href="https://www.jw.org/finder?srcid=jwlshare&wtlocale=S&prefer=lang&docid=501400102" target="_blank">¿Cómo son las bodas de los testigos de Jehová?</a>',
+        other: 'Para conocer mejor cómo van a ser nuestras bodas, los invitamos a leer el siguiente artículo de JW.org: <a href="https://www.jw.org/finder?srcid=jwlshare&wtlocale=S&prefer=lang&docid=501400102" target="_blank">¿Cómo son las bodas de los testigos de Jehová?</a>'
+    },
+
+    'events.civil': 'ceremonia civil',
+    'events.discurso': 'discurso de bodas',
+    'events.recepcion': 'recepción de bodas',
+
+    'civil.title': 'Ceremonia civil',
+    'civilRecepcion.title': 'Recepción del civil',
+    'discurso.title': 'Discurso de bodas',
+    'discurso.video': 'Transmisión en vivo',
+    'fiesta.title': 'Recepción de bodas',
+
+    'video.startsIn': 'La transmisión comienza en {parts}.',
+    'video.ended': 'La transmisión terminó.',
+    'video.openInTab': 'Abrir en una pestaña nueva',
+
+    'event.date': 'Fecha:',
+    'event.time': 'Hora:',
+    'event.place': 'Lugar:',
+    'event.address': 'Dirección:',
+    'event.map': 'Ver en el mapa',
+    'event.notes': 'Indicaciones:',
+    'event.directions': 'Cómo llegar:',
+    'event.otherApp': 'Otra app',
+    'event.share': 'Compartir ubicación',
+    'event.copied': 'Ubicación copiada',
+    'event.copyFailed': 'No se pudo copiar',
+    'event.dateTbd': 'a confirmar',
+    'event.localTime': '(hora de {zone}; {time} en tu zona horaria)',
+    'event.now': 'ahora',
+    'event.next': 'próximo',
+
+    'calendar.add': 'Agregar al calendario',
+    'calendar.addAll': { one: 'Agregar el evento al calendario', other: 'Agregar todos los eventos al calendario' },
+    'calendar.description': 'Invitación: {url}',
+
+    'countdown.days': { one: '{count} día', other: '{count} días' },
+    'countdown.hours': { one: '{count} hora', other: '{count} horas' },
+    'countdown.minutes': { one: '{count} minuto', other: '{count} minutos' },
+    'countdown.left': { one: 'Falta {parts}', other: 'Faltan {parts}' },
+    'countdown.soon': 'Falta menos de un minuto',
+
+    'rsvp.heading': { one: 'Confirmá tu presencia', other: 'Confirmen su presencia' },
+    'rsvp.deadline': {
+        one: 'Por favor, confirmá tu asistencia <strong>hasta el {date}</strong> (sólo para la recepción de bodas).',
+        other: 'Por favor, confirmen su asistencia <strong>hasta el {date}</strong> (sólo para la recepción de bodas).'
+    },
+    'rsvp.attendees': { one: '¿Quién viene?', other: '¿Quiénes vienen?' },
+    'rsvp.attendeesError': 'Marcá al menos una persona.',
+    'rsvp.companion': 'Acompañante {number}',
+    'rsvp.dietary': 'Restricciones alimentarias',
+    'rsvp.dietaryPlaceholder': 'Vegetariano, celíaco, alergias…',
+    'rsvp.note': 'Un mensaje para los novios (opcional)',
+    'rsvp.yes': { one: '¡Sí, allí estaré!', other: '¡Sí, allí estaremos!' },
+    'rsvp.no': { one: 'No podré asistir', other: 'No podremos asistir' },
+    'rsvp.confirmed.title': { one: 'Ya confirmaste tu presencia', other: 'Ya confirmaron su presencia' },
+    'rsvp.confirmed.text': {
+        one: 'Gracias por confirmar que vendrás. ¡Te esperamos!',
+        other: 'Gracias por confirmar que vendrán. ¡Los esperamos!'
+    },
+    'rsvp.confirmed.attendees': 'Confirmados:',
+    'rsvp.confirmed.count': '({count} de {total})',
+    'rsvp.declined.title': { one: 'Nos informaste que no vendrás.', other: 'Nos informaron que no vendrán.' },
+    'rsvp.declined.text': {
+        one: 'Lamentamos que no puedas acompañarnos. ¡Gracias por hacérnoslo saber!',
+        other: 'Lamentamos que no puedan acompañarnos. ¡Gracias por hacérnoslo saber!'
+    },
+    'rsvp.pending.title': { one: '¡Gracias por tu respuesta!', other: '¡Gracias por su respuesta!' },
+    'rsvp.pending.text': {
+        one: 'Estamos registrando tu confirmación. Esto puede tardar unos minutos; no hace falta que recargues la página.',
+        other: 'Estamos registrando su confirmación. Esto puede tardar unos minutos; no hace falta que recarguen la página.'
+    },
+    'rsvp.retry.text': {
+        one: 'No pudimos verificar que tu respuesta haya llegado.',
+        other: 'No pudimos verificar que su respuesta haya llegado.'
+    },
+    'rsvp.retry.button': 'Volver a enviar',
+    'rsvp.change.text': {
+        one: 'Si cambian tus planes, podés modificar tu respuesta hasta el {date}.',
+        other: 'Si cambian sus planes, pueden modificar su respuesta hasta el {date}.'
+    },
+    'rsvp.change.button': 'Cambiar respuesta',
+    'rsvp.closed.title': 'La confirmación está cerrada',
+    'rsvp.closed.text': {
+        one: 'El plazo para confirmar terminó el {date}. Si todavía querés venir, escribinos.',
+        other: 'El plazo para confirmar terminó el {date}. Si todavía quieren venir, escríbannos.'
+    },
+
+    'guestbook.title': 'Libro de visitas',
+    'guestbook.intro': {
+        one: 'Dejanos un mensaje y, si querés, tus fotos de la boda.',
+        other: 'Déjennos un mensaje y, si quieren, sus fotos de la boda.'
+    },
+    'guestbook.name': 'Nombre',
+    'guestbook.message': 'Mensaje',
+    'guestbook.photos': 'Fotos (opcional, hasta {max})',
+    'guestbook.tooManyPhotos': 'Elegí hasta {max} fotos.',
+    'guestbook.send': 'Enviar',
+    'guestbook.sending': 'Enviando…',
+    'guestbook.failed': 'No se pudo enviar el mensaje. Por favor, intentá de nuevo.',
+    'guestbook.thanks': {
+        one: '¡Gracias! Tu mensaje va a aparecer aquí cuando lo revisemos.',
+        other: '¡Gracias! Su mensaje va a aparecer aquí cuando lo revisemos.'
+    },
+    'guestbook.wall': 'Mensajes',
+    'guestbook.empty': 'Todavía no hay mensajes.',
+    'guestbook.photoBy': 'Foto de {name}',
+
+    'print.map': 'Mapa:',
+    'print.video': 'Transmisión:',
+    'print.rsvp': {
+        one: 'Para confirmar tu asistencia, abrí tu invitación:',
+        other: 'Para confirmar su asistencia, abran su invitación:'
+    }
+};
@@ -0,0 +1,164 @@
+/**
+ * --------------------------------------------------------------------
+ * Portuguese Messages
+ * --------------------------------------------------------------------
+ * Messages missing here fall back to Spanish (see i18n.js).
+ * Messages that address the guests have a 'one' form for a single
+ * guest (você) and an 'other' form for a group (vocês).
+ * --------------------------------------------------------------------
+ */
+
+localeCatalogs.pt = {
+    'offline.notice': 'Sem conexão: mostrando dados salvos',
+
+    'nav.previous': 'Seção anterior',
+    'nav.next': 'Próxima seção',
+    'nav.goTo': 'Ir para a seção {number}',
+    'nav.up': 'Subir',
+    'nav.down': 'Descer',
+    'nav.carousel': 'carrossel',
+    'nav.slide': 'seção',
+    'nav.sections': 'Seções',
+    'nav.position': '{number} de {total}',
+    'nav.current': 'Seção {number} de {total}: {title}',
+
+    'error.noCode.title': 'Não encontramos o seu convite',
+    'error.noCode.text': 'Se você foi convidado, é possível que o endereço não tenha sido digitado corretamente. Por favor, confira o convite que enviamos e use o link que está nele. Obrigado.',
+    'error.connection.title': 'Erro de conexão',
+    'error.connection.text': 'Não foi possível carregar as informações do convite. Por favor, verifique a sua conexão com a internet e recarregue a página.',
+    'error.data.title': 'Erro de dados',
+    'error.data.text': 'Não foi possível processar as informações do convite. Por favor, tente recarregar a página ou entre em contato conosco.',
+    'error.notFound.title': 'Convite não encontrado',
+    'error.notFound.text': 'Este link não corresponde a nenhum convite. Por favor, confira se ele está completo, exatamente como o enviamos, ou entre em contato conosco.',
+    'error.decrypt.title': 'Não conseguimos abrir o seu convite',
+    'error.decrypt.text': 'Encontramos o seu convite, mas não conseguimos ler os dados dele. Por favor, entre em contato conosco para que possamos verificar.',
+    'error.page.title': 'Erro na página',
+    'error.page.text': 'Falta uma parte da página do convite. Por favor, avise-nos para que possamos corrigir.',
+
+    'cover.heading': 'Nosso casamento',
+    'cover.thanks': 'Obrigado por nos acompanhar neste dia tão especial!',
+
+    'invitation.for': 'Convite para',
+    'invitation.guests': { one: 'Convidado:', other: 'Convidados:' },
+    'invitation.guestCount': { one: '({count} convidado)', other: '({count} convidados)' },
+    'invitation.events': 'Convite para',
+    'invitation.nextPages': {
+        one: {
+            one: 'Na próxima página você encontrará informações sobre o evento.',
+            other: 'Nas próximas páginas você encontrará informações sobre os eventos.'
+        },
+        other: {
+            one: 'Na próxima página vocês encontrarão informações sobre o evento.',
+            other: 'Nas próximas páginas vocês encontrarão informações sobre os eventos.'
+        }
+    },
+    'invitation.moreInfo.title': 'Mais informações',
+    'invitation.moreInfo.text': {
+        one: 'Para saber melhor como será o nosso casamento, convidamos você a ler o seguinte artigo do JW.org: <a href="https://www.jw.org/finder?srcid=jwlshare&wtlocale=T&prefer=lang&docid=501400102" target="_blank">Como são os casamentos das Testemunhas de Jeová?</a>',
+        other: 'Para saber melhor como será o nosso casamento, convidamos vocês a ler o seguinte artigo do JW.org: <a href="https://www.jw.org/finder?srcid=jwlshare&wtlocale=T&prefer=lang&docid=501400102" target="_blank">Como são os casamentos das Testemunhas de Jeová?</a>'
+    },
+
+    'events.civil': 'cerimônia civil',
+    'events.discurso': 'discurso de casamento',
+    'events.recepcion': 'recepção de casamento',
+
+    'civil.title': 'Cerimônia civil',
+    'civilRecepcion.title': 'Recepção do civil',
+    'discurso.title': 'Discurso de casamento',
+    'discurso.video': 'Transmissão ao vivo',
+    'fiesta.title': 'Recepção de casamento',
+
+    'video.startsIn': 'A transmissão começa em {parts}.',
+    'video.ended': 'A transmissão terminou.',
+    'video.openInTab': 'Abrir em uma nova aba',
+
+    'event.date': 'Data:',
+    'event.time': 'Hora:',
+    'event.place': 'Local:',
+    'event.address': 'Endereço:',
+    'event.map': 'Ver no mapa',
+    'event.notes': 'Indicações:',
+    'event.directions': 'Como chegar:',
+    'event.otherApp': 'Outro app',
+    'event.share': 'Compartilhar local',
+    'event.copied': 'Local copiado',
+    'event.copyFailed': 'Não foi possível copiar',
+    'event.dateTbd': 'a confirmar',
+    'event.localTime': '(horário de {zone}; {time} no seu fuso horário)',
+    'event.now': 'agora',
+    'event.next': 'próximo',
+
+    'calendar.add': 'Adicionar à agenda',
+    'calendar.addAll': { one: 'Adicionar o evento à agenda', other: 'Adicionar todos os eventos à agenda' },
+    'calendar.description': 'Convite: {url}',
+
+    'countdown.days': { one: '{count} dia', other: '{count} dias' },
+    'countdown.hours': { one: '{count} hora', other: '{count} horas' },
+    'countdown.minutes': { one: '{count} minuto', other: '{count} minutos' },
+    'countdown.left': { one: 'Falta {parts}', other: 'Faltam {parts}' },
+    'countdown.soon': 'Falta menos de um minuto',
+
+    'rsvp.heading': { one: 'Confirme a sua presença', other: 'Confirmem a sua presença' },
+    'rsvp.deadline': {
+        one: 'Por favor, confirme a sua presença <strong>até {date}</strong> (somente para a recepção de casamento).',
+        other: 'Por favor, confirmem a sua presença <strong>até {date}</strong> (somente para a recepção de casamento).'
+    },
+    'rsvp.attendees': 'Quem vem?',
+    'rsvp.attendeesError': 'Marque pelo menos uma pessoa.',
+    'rsvp.companion': 'Acompanhante {number}',
+    'rsvp.dietary': 'Restrições alimentares',
+    'rsvp.dietaryPlaceholder': 'Vegetariano, celíaco, alergias…',
+    'rsvp.note': 'Uma mensagem para os noivos (opcional)',
+    'rsvp.yes': { one: 'Sim, estarei lá!', other: 'Sim, estaremos lá!' },
+    'rsvp.no': { one: 'Não poderei ir', other: 'Não poderemos ir' },
+    'rsvp.confirmed.title': { one: 'Você já confirmou a sua presença', other: 'Vocês já confirmaram a sua presença' },
+    'rsvp.confirmed.text': {
+        one: 'Obrigado por confirmar que virá. Esperamos você!',
+        other: 'Obrigado por confirmarem que virão. Esperamos vocês!'
+    },
+    'rsvp.confirmed.attendees': 'Confirmados:',
+    'rsvp.confirmed.count': '({count} de {total})',
+    'rsvp.declined.title': { one: 'Você nos informou que não virá.', other: 'Vocês nos informaram que não virão.' },
+    'rsvp.declined.text': {
+        one: 'Lamentamos que você não possa nos acompanhar. Obrigado por nos avisar!',
+        other: 'Lamentamos que vocês não possam nos acompanhar. Obrigado por nos avisar!'
+    },
+    'rsvp.pending.title': 'Obrigado pela resposta!',
+    'rsvp.pending.text': 'Estamos registrando a sua confirmação. Isso pode levar alguns minutos; não é preciso recarregar a página.',
+    'rsvp.retry.text': 'Não conseguimos verificar se a sua resposta chegou.',
+    'rsvp.retry.button': 'Enviar novamente',
+    'rsvp.change.text': {
+        one: 'Se os seus planos mudarem, você pode alterar a sua resposta até {date}.',
+        other: 'Se os seus planos mudarem, vocês podem alterar a sua resposta até {date}.'
+    },
+    'rsvp.change.button': 'Alterar resposta',
+    'rsvp.closed.title': 'As confirmações estão encerradas',
+    'rsvp.closed.text': {
+        one: 'O prazo para confirmar terminou em {date}. Se ainda quiser vir, fale conosco.',
+        other: 'O prazo para confirmar terminou em {date}. Se ainda quiserem vir, falem conosco.'
+    },
+
+    'guestbook.title': 'Livro de visitas',
+    'guestbook.intro': {
+        one: 'Deixe uma mensagem para nós e, se quiser, as suas fotos do casamento.',
+        other: 'Deixem uma mensagem para nós e, se quiserem, as suas fotos do casamento.'
+    },
+    'guestbook.name': 'Nome',
+    'guestbook.message': 'Mensagem',
+    'guestbook.photos': 'Fotos (opcional, até {max})',
+    'guestbook.tooManyPhotos': 'Escolha até {max} fotos.',
+    'guestbook.send': 'Enviar',
+    'guestbook.sending': 'Enviando…',
+    'guestbook.failed': 'Não foi possível enviar a mensagem. Por favor, tente novamente.',
+    'guestbook.thanks': 'Obrigado! A sua mensagem aparecerá aqui quando a revisarmos.',
+    'guestbook.wall': 'Mensagens',
+    'guestbook.empty': 'Ainda não há mensagens.',
+    'guestbook.photoBy': 'Foto de {name}',
+
+    'print.map': 'Mapa:',
+    'print.video': 'Transmissão:',
+    'print.rsvp': {
+        one: 'Para confirmar a sua presença, abra o seu convite:',
+        other: 'Para confirmar a sua presença, abram o seu convite:'
+    }
+};
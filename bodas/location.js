@@ -0,0 +1,129 @@
+/**
+ * --------------------------------------------------------------------
+ * Event Locations
+ * --------------------------------------------------------------------
+ * Directions and sharing for the place of each event section.
+ * 1. An event row may have a `Coordenadas` column ("-34.6037, -58.3816",
+ *    as Google Maps copies them) and an `Indicaciones` column with notes
+ *    on parking, the entrance and so on.
+ * 2. The directions links (Google Maps, Waze, Apple Maps and a geo: URI
+ *    for any other app) go to the coordinates, or to the `Direccion`
+ *    when the row has no valid coordinates.
+ * 3. The share button uses the Web Share API where there is one, and
+ *    copies the place and its link to the clipboard elsewhere.
+ * --------------------------------------------------------------------
+ */
+
+const SHARE_FEEDBACK_DELAY = 2000;
+
+/**
+ * Reads a latitude and longitude, e.g. "-34.6037, -58.3816".
+ * @param {string|null} text The `Coordenadas` cell.
+ * @returns {{latitude: number, longitude: number}|null} The coordinates, or null if there are none
+ *     or they are not a valid position.
+ */
+function parseCoordinates(text) {
+    const match = (text || '').trim().match(/^(-?\d{1,3}(?:\.\d+)?)\s*[,;\s]\s*(-?\d{1,3}(?:\.\d+)?)$/);
+    if (!match) return null;
+    const latitude = Number(match[1]);
+    const longitude = Number(match[2]);
+    if (Math.abs(latitude) > 90 || Math.abs(longitude) > 180) return null;
+    // 0,0 is in the ocean; it is what an empty coordinate picker leaves behind.
+    if (latitude === 0 && longitude === 0) return null;
+    return { latitude, longitude };
+}
+
+/**
+ * Builds the directions links to a place.
+ * @param {{coordinates: Object|null, address: string|null, name: string|null}} place Where to go:
+ *     its coordinates (see parseCoordinates), or else its address, and its name for the geo: label.
+ * @returns {{googleMaps: string, waze: string, appleMaps: string, geo: string}|null} The links, or
+ *     null if the place has neither coordinates nor an address.
+ */
+function buildDirectionsLinks({ coordinates, address, name }) {
+    if (coordinates) {
+        const position = `${coordinates.latitude},${coordinates.longitude}`;
+        // The label is in parentheses, so the name cannot have its own.
+        const label = name ? `(${encodeURIComponent(name.replace(/[()]/g, ''))})` : '';
+        return {
+            googleMaps: `https://www.google.com/maps/dir/?api=1&destination=${position}`,
+            waze: `https://waze.com/ul?ll=${position}&navigate=yes`,
+            appleMaps: `https://maps.apple.com/?daddr=${position}`,
+            geo: `geo:${position}?q=${position}${label}`
+        };
+    }
+    if (!address) return null;
+    const query = encodeURIComponent(address);
+    return {
+        googleMaps: `https://www.google.com/maps/dir/?api=1&destination=${query}`,
+        waze: `https://waze.com/ul?q=${query}&navigate=yes`,
+        appleMaps: `https://maps.apple.com/?daddr=${query}`,
+        geo: `geo:0,0?q=${query}`
+    };
+}
+
+/**
+ * Fills in the venue notes, directions links and share button of an event section.
+ * @param {HTMLElement} container The event section.
+ * @param {{title: string, lugar: string|null, direccion: string|null, coordenadas: string|null,
+ *     indicaciones: string|null}} place The decrypted place columns of the event row.
+ * @param {string} id The event's section name, for the warning about invalid coordinates.
+ */
+function setupEventLocation(container, place, id) {
+    const notes = container.querySelector('.indicaciones');
+    if (notes && place.indicaciones) {
+        notes.querySelector('.notas').textContent = place.indicaciones;
+        notes.classList.remove('hidden');
+    }
+
+    const coordinates = parseCoordinates(place.coordenadas);
+    if (place.coordenadas && !coordinates) {
+        console.warn(`Ignoring invalid coordinates for event "${id}", using its address:`, place.coordenadas);
+    }
+    const links = buildDirectionsLinks({ coordinates, address: place.direccion, name: place.lugar });
+    const directions = container.querySelector('.directions');
+    if (!links || !directions) return;
+
+    directions.querySelector('.google-maps').href = links.googleMaps;
+    directions.querySelector('.waze').href = links.waze;
+    directions.querySelector('.apple-maps').href = links.appleMaps;
+    directions.querySelector('.geo').href = links.geo;
+    directions.classList.remove('hidden');
+
+    const shareButton = container.querySelector('.share-location');
+    if (!shareButton || (!navigator.share && !navigator.clipboard)) return;
+    const shareData = {
+        title: place.title,
+        text: [place.lugar, place.direccion].filter(part => part).join(', '),
+        url: links.googleMaps
+    };
+    shareButton.addEventListener('click', () => shareLocation(shareButton, shareData));
+    shareButton.classList.remove('hidden');
+}
+
+/**
+ * Shares a place through the device's share sheet, or copies it to the clipboard and says so on the button.
+ * @param {HTMLButtonElement} button The share button.
+ * @param {{title: string, text: string, url: string}} shareData What to share.
+ */
+async function shareLocation(button, shareData) {
+    if (navigator.share) {
+        try {
+            await navigator.share(shareData);
+            return;
+        } catch (error) {
+            // The guest closed the share sheet; anything else falls back to the clipboard.
+            if (error.name === 'AbortError') return;
+            console.warn('Could not share the location:', error);
+        }
+    }
+
+    try {
+        await navigator.clipboard.writeText([shareData.title, shareData.text, shareData.url].filter(part => part).join('\n'));
+        button.textContent = t('event.copied');
+    } catch (error) {
+        console.warn('Could not copy the location:', error);
+        button.textContent = t('event.copyFailed');
+    }
+    setTimeout(() => translateElement(button), SHARE_FEEDBACK_DELAY);
+}
@@ -0,0 +1,327 @@
+/**
+ * --------------------------------------------------------------------
+ * Organizer Dashboard
+ * --------------------------------------------------------------------
+ * The page the organizers use instead of opening the guest sheet.
+ * 1. It loads the guest rows from the same data source as the invitation.
+ * 2. The master key decrypts each group's code from the organizer column
+ *    (see invitationConfig.organizer), and the code the group's names.
+ * 3. It shows the RSVP and per-event totals and a filterable list of
+ *    groups, with when each first opened its invitation (see tracking.js),
+ *    which can be exported as CSV.
+ * The master key is only kept in memory while the page is open.
+ * --------------------------------------------------------------------
+ */
+
+// RSVP states of a group, as used by the status filter.
+const rsvpStatusLabels = {
+    confirmed: 'Confirmó',
+    declined: 'No viene',
+    pending: 'Sin respuesta',
+    overdue: 'Vencida',
+    'not-asked': 'Sin confirmación'
+};
+
+// The decrypted groups, once the dashboard is unlocked.
+let organizerGroups = [];
+
+/**
+ * Main entry point. Fires after the initial HTML document has been completely loaded and parsed.
+ */
+document.addEventListener('DOMContentLoaded', () => {
+    const form = document.getElementById('unlock-form');
+    const input = document.getElementById('master-key-input');
+
+    form.addEventListener('submit', async (event) => {
+        event.preventDefault();
+        const submitButton = form.querySelector('button[type="submit"]');
+        submitButton.disabled = true;
+        showUnlockStatus('Cargando…');
+        try {
+            const dataSource = createDataSource(invitationConfig.dataSource);
+            const { groups, undecrypted } = await decryptGroups(await dataSource.loadGuests(), input.value);
+            if (groups.length === 0) {
+                showUnlockStatus('La clave maestra no es correcta.');
+                return;
+            }
+            organizerGroups = groups;
+            input.value = '';
+            // The organizers open the invitations here too; those visits should not count as opened.
+            markOrganizerBrowser();
+            form.classList.add('hidden');
+            showDashboard(undecrypted, dataSource.servedFromCache);
+        } catch (error) {
+            console.error('Could not load the guest data:', error);
+            showUnlockStatus(error instanceof CsvParseError
+                ? 'No se pudo leer la planilla de invitados.'
+                : 'No se pudo cargar la planilla de invitados. Revisá la conexión e intentá de nuevo.');
+        } finally {
+            submitButton.disabled = false;
+        }
+    });
+});
+
+/**
+ * Shows a message below the unlock form.
+ * @param {string} message The message.
+ */
+function showUnlockStatus(message) {
+    const status = document.getElementById('unlock-status');
+    status.textContent = message;
+    status.classList.remove('hidden');
+}
+
+/**
+ * Decrypts every group the master key opens.
+ * @param {Array<Object>} guestData The guest rows from the data source.
+ * @param {string} masterKey The master key.
+ * @returns {Promise<{groups: Array<Object>, undecrypted: number}>} The groups (see decryptGroup),
+ *     and how many rows the key could not open (e.g. rows without the organizer column yet).
+ */
+async function decryptGroups(guestData, masterKey) {
+    const results = await Promise.all(guestData.map(row => decryptGroup(row, masterKey)));
+    const groups = results.filter(group => group);
+    return { groups, undecrypted: results.length - groups.length };
+}
+
+/**
+ * Decrypts one guest row with the master key.
+ * @param {Object} row The guest row.
+ * @param {string} masterKey The master key.
+ * @returns {Promise<Object|null>} The group, or null if the key does not open the row.
+ */
+async function decryptGroup(row, masterKey) {
+    const code = await decryptField(row[invitationConfig.organizer.column], masterKey);
+    if (!code) return null;
+
+    const [nombre, invitados] = await Promise.all([decryptField(row.Nombre, code), decryptField(row.Invitados, code)]);
+    const guests = parseGuestNames(invitados);
+    const cantidad = parseInt(row.Cantidad, 10) || guests.length;
+    const attendees = parseGuestNames(row.Asistentes);
+    const flags = {};
+    invitationConfig.organizer.flags.forEach(flag => {
+        flags[flag] = row[flag]?.toLowerCase() === 'si';
+    });
+
+    return {
+        code,
+        name: nombre || '',
+        guests,
+        cantidad,
+        flags,
+        confirmado: row.Confirmado || '',
+        attendees,
+        status: getRsvpStatus(row),
+        firstOpen: row[invitationConfig.tracking.firstOpenColumn]?.trim() || '',
+        latestDeviceOpen: row[invitationConfig.tracking.latestDeviceColumn]?.trim() || ''
+    };
+}
+
+/**
+ * Works out where a group's RSVP stands.
+ * @param {Object} row The guest row.
+ * @param {Date} [now] The current time.
+ * @returns {string} One of the keys of rsvpStatusLabels.
+ */
+function getRsvpStatus(row, now = new Date()) {
+    if (row.Confirmado === 'Si') return 'confirmed';
+    if (row.Confirmado === 'No') return 'declined';
+    if (row[invitationConfig.rsvp.flag]?.toLowerCase() !== 'si') return 'not-asked';
+
+    // en-CA formats dates as YYYY-MM-DD, so the day in the event's zone compares as text.
+    const today = now.toLocaleDateString('en-CA', { timeZone: invitationConfig.timeZone });
+    // A group's own date in the deadline column wins over the configured one.
+    const deadline = getRsvpDeadline(row);
+    return deadline && today > deadline ? 'overdue' : 'pending';
+}
+
+/**
+ * Counts the people a group is bringing: the names sent with the RSVP if the sheet has
+ * them, otherwise the whole group.
+ * @param {Object} group The group.
+ * @returns {number} The headcount.
+ */
+function getHeadcount(group) {
+    return group.attendees.length || group.cantidad;
+}
+
+/**
+ * Adds up the RSVP and per-event totals.
+ * @param {Array<Object>} groups The groups.
+ * @returns {{rsvp: Object, events: Array<{flag: string, groups: number, people: number}>}} The totals.
+ */
+function computeStats(groups) {
+    const rsvp = { groups: 0, people: 0, attending: 0, declined: 0, pending: 0, overdue: 0, unopened: 0 };
+    groups.forEach(group => {
+        rsvp.groups++;
+        rsvp.people += group.cantidad;
+        if (group.status === 'confirmed') rsvp.attending += getHeadcount(group);
+        if (group.status === 'declined') rsvp.declined += group.cantidad;
+        if (group.status === 'pending' || group.status === 'overdue') rsvp.pending += group.cantidad;
+        if (group.status === 'overdue') rsvp.overdue++;
+        if (!group.firstOpen) rsvp.unopened++;
+    });
+
+    const events = invitationConfig.organizer.flags.map(flag => {
+        const invited = groups.filter(group => group.flags[flag]);
+        return { flag, groups: invited.length, people: invited.reduce((sum, group) => sum + group.cantidad, 0) };
+    });
+    return { rsvp, events };
+}
+
+/**
+ * Shows the dashboard once the groups are decrypted.
+ * @param {number} undecrypted How many rows the master key could not open.
+ * @param {boolean} servedFromCache Whether the data came from the offline cache.
+ */
+function showDashboard(undecrypted, servedFromCache) {
+    const eventFilter = document.getElementById('filter-event');
+    const header = document.getElementById('groups-header');
+    const countHeader = header.children[3];
+    invitationConfig.organizer.flags.slice().reverse().forEach(flag => {
+        eventFilter.add(new Option(flag, flag), 1);
+        const th = document.createElement('th');
+        th.textContent = flag;
+        countHeader.after(th);
+    });
+
+    const notices = [];
+    if (undecrypted > 0) notices.push(`${undecrypted} ${undecrypted === 1 ? 'fila no se pudo abrir' : 'filas no se pudieron abrir'} con esta clave.`);
+    if (servedFromCache) notices.push('Sin conexión: los datos pueden estar desactualizados.');
+    const notice = document.getElementById('undecrypted-notice');
+    notice.textContent = notices.join(' ');
+    notice.classList.toggle('hidden', notices.length === 0);
+
+    renderStats(computeStats(organizerGroups));
+    ['filter-text', 'filter-event', 'filter-status', 'filter-opened'].forEach(id => {
+        document.getElementById(id).addEventListener('input', renderGroups);
+    });
+    document.getElementById('export-btn').addEventListener('click', () => {
+        downloadCsv(buildGroupsCsv(filterGroups(organizerGroups, readFilters())), 'invitados.csv');
+    });
+    renderGroups();
+    document.getElementById('dashboard').classList.remove('hidden');
+}
+
+/**
+ * Shows the RSVP totals and the per-event totals.
+ * @param {{rsvp: Object, events: Array<Object>}} stats The totals from computeStats.
+ */
+function renderStats(stats) {
+    const statTemplate = document.getElementById('stat-template');
+    const rsvpStats = document.getElementById('rsvp-stats');
+    rsvpStats.innerHTML = '';
+    [
+        [stats.rsvp.groups, 'grupos'],
+        [stats.rsvp.people, 'invitados'],
+        [stats.rsvp.attending, 'asisten'],
+        [stats.rsvp.declined, 'no vienen'],
+        [stats.rsvp.pending, 'sin responder'],
+        [stats.rsvp.overdue, 'grupos vencidos', stats.rsvp.overdue > 0],
+        [stats.rsvp.unopened, 'sin abrir']
+    ].forEach(([value, label, isWarning]) => {
+        const stat = statTemplate.content.cloneNode(true).firstElementChild;
+        stat.querySelector('.value').textContent = value;
+        stat.querySelector('.label').textContent = label;
+        if (isWarning) stat.classList.add('warning');
+        rsvpStats.appendChild(stat);
+    });
+
+    const eventTemplate = document.getElementById('event-stat-template');
+    const eventStats = document.getElementById('event-stats');
+    eventStats.innerHTML = '';
+    stats.events.forEach(event => {
+        const row = eventTemplate.content.cloneNode(true).firstElementChild;
+        row.querySelector('.event').textContent = event.flag;
+        row.querySelector('.groups').textContent = event.groups;
+        row.querySelector('.people').textContent = event.people;
+        eventStats.appendChild(row);
+    });
+}
+
+/**
+ * Reads the filter controls.
+ * @returns {{text: string, flag: string, status: string, opened: string}} The filters; empty strings match everything.
+ */
+function readFilters() {
+    return {
+        text: document.getElementById('filter-text').value.trim().toLowerCase(),
+        flag: document.getElementById('filter-event').value,
+        status: document.getElementById('filter-status').value,
+        opened: document.getElementById('filter-opened').value
+    };
+}
+
+/**
+ * Keeps the groups that match the filters.
+ * @param {Array<Object>} groups The groups.
+ * @param {{text: string, flag: string, status: string, opened: string}} filters The filters from readFilters.
+ * @returns {Array<Object>} The matching groups.
+ */
+function filterGroups(groups, { text, flag, status, opened }) {
+    return groups.filter(group => {
+        if (flag && !group.flags[flag]) return false;
+        if (status && group.status !== status) return false;
+        if (opened && (opened === 'opened') !== Boolean(group.firstOpen)) return false;
+        if (!text) return true;
+        return [group.code, group.name, ...group.guests].some(value => value.toLowerCase().includes(text));
+    });
+}
+
+/**
+ * Shows the groups that match the current filters.
+ */
+function renderGroups() {
+    const groups = filterGroups(organizerGroups, readFilters());
+    const template = document.getElementById('group-row-template');
+    const body = document.getElementById('groups-body');
+    body.innerHTML = '';
+
+    groups.forEach(group => {
+        const row = template.content.cloneNode(true).firstElementChild;
+        row.querySelector('.code').textContent = group.code;
+        row.querySelector('.name').textContent = group.name;
+        row.querySelector('.guests').textContent = group.guests.join(', ');
+        row.querySelector('.count').textContent = group.cantidad;
+        row.querySelector('.status').textContent = rsvpStatusLabels[group.status];
+        row.querySelector('.opened').textContent = group.firstOpen || 'Nunca';
+        row.querySelector('.opened').title = group.latestDeviceOpen && group.latestDeviceOpen !== group.firstOpen ? `Abierta en otro dispositivo: ${group.latestDeviceOpen}` : '';
+        row.querySelector('.attendees').textContent = group.attendees.join(', ');
+        row.classList.add(group.status);
+
+        const countCell = row.querySelector('.count');
+        invitationConfig.organizer.flags.slice().reverse().forEach(flag => {
+            const cell = document.createElement('td');
+            cell.textContent = group.flags[flag] ? 'Sí' : '';
+            countCell.after(cell);
+        });
+        body.appendChild(row);
+    });
+
+    document.getElementById('filter-count').textContent = `${groups.length} de ${organizerGroups.length} grupos`;
+}
+
+/**
+ * Builds a CSV file of groups, with the same columns as the table.
+ * @param {Array<Object>} groups The groups.
+ * @returns {string} The CSV text.
+ */
+function buildGroupsCsv(groups) {
+    const flags = invitationConfig.organizer.flags;
+    const rows = [['Codigo', 'Nombre', 'Invitados', 'Cantidad', ...flags, 'Confirmado', 'Estado', 'PrimeraApertura', 'UltimoDispositivo', 'Asistentes']];
+    groups.forEach(group => {
+        rows.push([
+            group.code,
+            group.name,
+            group.guests.join(', '),
+            group.cantidad,
+            ...flags.map(flag => (group.flags[flag] ? 'Si' : 'No')),
+            group.confirmado,
+            rsvpStatusLabels[group.status],
+            group.firstOpen,
+            group.latestDeviceOpen,
+            group.attendees.join(', ')
+        ]);
+    });
+    return formatCsv(rows);
+}
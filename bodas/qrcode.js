@@ -0,0 +1,457 @@
+/**
+ * --------------------------------------------------------------------
+ * QR Codes
+ * --------------------------------------------------------------------
+ * A small QR code encoder for the invitation links, so the generator
+ * and the printed invitations work without a third-party library.
+ * 1. Text is encoded as UTF-8 in byte mode, with error correction
+ *    level M (about 15% of the symbol can be damaged and still read).
+ * 2. The smallest version (size) that fits is used, up to version 40.
+ * 3. Of the eight mask patterns, the one with the lowest penalty is kept.
+ * createQrCode returns the modules; qrCodeToSvg draws them.
+ * --------------------------------------------------------------------
+ */
+
+// Error correction codewords per block and number of blocks for level M, by version (index 0 unused).
+const QR_ECC_CODEWORDS_PER_BLOCK = [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28];
+const QR_ECC_BLOCKS = [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49];
+
+// The two format bits of error correction level M.
+const QR_LEVEL_M_BITS = 0;
+
+/**
+ * Encodes text as a QR code.
+ * @param {string} text The text, e.g. an invitation link.
+ * @returns {{size: number, modules: boolean[][]}} The symbol's width in modules and its
+ *     modules by row, true for dark. The quiet zone around it is not included.
+ * @throws {RangeError} If the text is too long for a version 40 symbol.
+ */
+function createQrCode(text) {
+    const data = Array.from(new TextEncoder().encode(text));
+
+    let version = 1;
+    for (; version <= 40; version++) {
+        const countBits = version < 10 ? 8 : 16;
+        if (4 + countBits + data.length * 8 <= getQrDataCodewords(version) * 8) break;
+    }
+    if (version > 40) throw new RangeError('Text is too long for a QR code.');
+
+    // Byte mode indicator, character count and data, then the terminator and padding.
+    const bits = [];
+    const appendBits = (value, length) => {
+        for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+    };
+    appendBits(0b0100, 4);
+    appendBits(data.length, version < 10 ? 8 : 16);
+    data.forEach(byte => appendBits(byte, 8));
+
+    const capacityBits = getQrDataCodewords(version) * 8;
+    appendBits(0, Math.min(4, capacityBits - bits.length));
+    appendBits(0, (8 - bits.length % 8) % 8);
+    for (let pad = 0xEC; bits.length < capacityBits; pad ^= 0xEC ^ 0x11) {
+        appendBits(pad, 8);
+    }
+
+    const codewords = [];
+    for (let i = 0; i < bits.length; i += 8) {
+        codewords.push(parseInt(bits.slice(i, i + 8).join(''), 2));
+    }
+
+    const qr = new QrMatrix(version);
+    qr.drawFunctionPatterns();
+    qr.drawCodewords(addQrErrorCorrection(codewords, version));
+
+    // Keep the mask with the lowest penalty.
+    let bestMask = 0;
+    let bestPenalty = Infinity;
+    for (let mask = 0; mask < 8; mask++) {
+        qr.applyMask(mask);
+        qr.drawFormatBits(mask);
+        const penalty = qr.getPenalty();
+        if (penalty < bestPenalty) {
+            bestMask = mask;
+            bestPenalty = penalty;
+        }
+        qr.applyMask(mask); // Masks are XOR, so applying one again removes it.
+    }
+    qr.applyMask(bestMask);
+    qr.drawFormatBits(bestMask);
+
+    return { size: qr.size, modules: qr.modules };
+}
+
+/**
+ * Counts the modules of a version that hold data and error correction codewords.
+ * @param {number} version The version, 1 to 40.
+ * @returns {number} The number of modules.
+ */
+function getQrRawDataModules(version) {
+    let result = (16 * version + 128) * version + 64;
+    if (version >= 2) {
+        const alignmentCount = Math.floor(version / 7) + 2;
+        result -= (25 * alignmentCount - 10) * alignmentCount - 55;
+        if (version >= 7) result -= 36;
+    }
+    return result;
+}
+
+/**
+ * Counts the data codewords of a version at level M.
+ * @param {number} version The version, 1 to 40.
+ * @returns {number} The number of data codewords.
+ */
+function getQrDataCodewords(version) {
+    return Math.floor(getQrRawDataModules(version) / 8) - QR_ECC_CODEWORDS_PER_BLOCK[version] * QR_ECC_BLOCKS[version];
+}
+
+/**
+ * Splits the data codewords into blocks, adds each block's Reed-Solomon codewords
+ * and interleaves the blocks in the order they are placed in the symbol.
+ * @param {number[]} data The data codewords.
+ * @param {number} version The version.
+ * @returns {number[]} All codewords.
+ */
+function addQrErrorCorrection(data, version) {
+    const blockCount = QR_ECC_BLOCKS[version];
+    const eccLength = QR_ECC_CODEWORDS_PER_BLOCK[version];
+    const rawCodewords = Math.floor(getQrRawDataModules(version) / 8);
+    const shortBlockCount = blockCount - rawCodewords % blockCount;
+    const shortBlockLength = Math.floor(rawCodewords / blockCount);
+    const divisor = getReedSolomonDivisor(eccLength);
+
+    const blocks = [];
+    for (let i = 0, offset = 0; i < blockCount; i++) {
+        const dataLength = shortBlockLength - eccLength + (i < shortBlockCount ? 0 : 1);
+        const blockData = data.slice(offset, offset + dataLength);
+        offset += dataLength;
+        const ecc = getReedSolomonRemainder(blockData, divisor);
+        // Short blocks get a placeholder so all blocks interleave by the same index.
+        if (i < shortBlockCount) blockData.push(null);
+        blocks.push(blockData.concat(ecc));
+    }
+
+    const result = [];
+    for (let i = 0; i < blocks[0].length; i++) {
+        blocks.forEach(block => {
+            if (block[i] !== null) result.push(block[i]);
+        });
+    }
+    return result;
+}
+
+/**
+ * Multiplies two elements of GF(2^8) with the QR code polynomial 0x11D.
+ * @param {number} x A byte.
+ * @param {number} y A byte.
+ * @returns {number} The product.
+ */
+function multiplyGf256(x, y) {
+    let z = 0;
+    for (let i = 7; i >= 0; i--) {
+        z = (z << 1) ^ ((z >>> 7) * 0x11D);
+        z ^= ((y >>> i) & 1) * x;
+    }
+    return z;
+}
+
+/**
+ * Computes the Reed-Solomon generator polynomial of a degree, without its leading 1.
+ * @param {number} degree The number of error correction codewords.
+ * @returns {number[]} The coefficients, highest power first.
+ */
+function getReedSolomonDivisor(degree) {
+    const result = new Array(degree).fill(0);
+    result[degree - 1] = 1;
+    let root = 1;
+    for (let i = 0; i < degree; i++) {
+        for (let j = 0; j < degree; j++) {
+            result[j] = multiplyGf256(result[j], root);
+            if (j + 1 < degree) result[j] ^= result[j + 1];
+        }
+        root = multiplyGf256(root, 0x02);
+    }
+    return result;
+}
+
+/**
+ * Computes the Reed-Solomon error correction codewords of a block.
+ * @param {number[]} data The block's data codewords.
+ * @param {number[]} divisor The generator polynomial from getReedSolomonDivisor.
+ * @returns {number[]} The error correction codewords.
+ */
+function getReedSolomonRemainder(data, divisor) {
+    const result = new Array(divisor.length).fill(0);
+    data.forEach(byte => {
+        const factor = byte ^ result.shift();
+        result.push(0);
+        divisor.forEach((coefficient, i) => {
+            result[i] ^= multiplyGf256(coefficient, factor);
+        });
+    });
+    return result;
+}
+
+/**
+ * The grid of a QR symbol while it is being drawn.
+ */
+class QrMatrix {
+    /**
+     * @param {number} version The version, 1 to 40.
+     */
+    constructor(version) {
+        this.version = version;
+        this.size = version * 4 + 17;
+        this.modules = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+        // Function modules (finders, timing, format...) are never masked or used for data.
+        this.isFunction = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+    }
+
+    /**
+     * Sets a function module.
+     * @param {number} x The column.
+     * @param {number} y The row.
+     * @param {boolean} isDark Whether the module is dark.
+     */
+    setFunctionModule(x, y, isDark) {
+        this.modules[y][x] = isDark;
+        this.isFunction[y][x] = true;
+    }
+
+    /**
+     * Draws the finder, timing and alignment patterns and reserves the format and version areas.
+     */
+    drawFunctionPatterns() {
+        for (let i = 0; i < this.size; i++) {
+            this.setFunctionModule(6, i, i % 2 === 0);
+            this.setFunctionModule(i, 6, i % 2 === 0);
+        }
+
+        this.drawFinderPattern(3, 3);
+        this.drawFinderPattern(this.size - 4, 3);
+        this.drawFinderPattern(3, this.size - 4);
+
+        const positions = this.getAlignmentPositions();
+        const last = positions.length - 1;
+        positions.forEach((x, i) => {
+            positions.forEach((y, j) => {
+                // The corners next to the finder patterns have no alignment pattern.
+                if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+                this.drawAlignmentPattern(x, y);
+            });
+        });
+
+        // Reserved for now; drawn again with the chosen mask.
+        this.drawFormatBits(0);
+        this.drawVersionBits();
+    }
+
+    /**
+     * Draws a finder pattern with its separator, centered on a module.
+     * @param {number} x The center column.
+     * @param {number} y The center row.
+     */
+    drawFinderPattern(x, y) {
+        for (let dy = -4; dy <= 4; dy++) {
+            for (let dx = -4; dx <= 4; dx++) {
+                const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                const xx = x + dx;
+                const yy = y + dy;
+                if (xx >= 0 && xx < this.size && yy >= 0 && yy < this.size) {
+                    this.setFunctionModule(xx, yy, distance !== 2 && distance !== 4);
+                }
+            }
+        }
+    }
+
+    /**
+     * Draws an alignment pattern centered on a module.
+     * @param {number} x The center column.
+     * @param {number} y The center row.
+     */
+    drawAlignmentPattern(x, y) {
+        for (let dy = -2; dy <= 2; dy++) {
+            for (let dx = -2; dx <= 2; dx++) {
+                this.setFunctionModule(x + dx, y + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+            }
+        }
+    }
+
+    /**
+     * Lists the centers of the alignment patterns on each axis.
+     * @returns {number[]} The positions, in ascending order.
+     */
+    getAlignmentPositions() {
+        if (this.version === 1) return [];
+        const count = Math.floor(this.version / 7) + 2;
+        const step = this.version === 32 ? 26 : Math.ceil((this.version * 4 + 4) / (count * 2 - 2)) * 2;
+        const result = [6];
+        for (let position = this.size - 7; result.length < count; position -= step) {
+            result.splice(1, 0, position);
+        }
+        return result;
+    }
+
+    /**
+     * Draws the two copies of the format information: the error correction level and the mask.
+     * @param {number} mask The mask pattern, 0 to 7.
+     */
+    drawFormatBits(mask) {
+        const data = (QR_LEVEL_M_BITS << 3) | mask;
+        let remainder = data;
+        for (let i = 0; i < 10; i++) remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+        const bits = ((data << 10) | remainder) ^ 0x5412;
+        const bit = i => ((bits >>> i) & 1) !== 0;
+
+        // Around the top-left finder pattern.
+        for (let i = 0; i <= 5; i++) this.setFunctionModule(8, i, bit(i));
+        this.setFunctionModule(8, 7, bit(6));
+        this.setFunctionModule(8, 8, bit(7));
+        this.setFunctionModule(7, 8, bit(8));
+        for (let i = 9; i < 15; i++) this.setFunctionModule(14 - i, 8, bit(i));
+
+        // Split between the other two finder patterns, plus the dark module.
+        for (let i = 0; i < 8; i++) this.setFunctionModule(this.size - 1 - i, 8, bit(i));
+        for (let i = 8; i < 15; i++) this.setFunctionModule(8, this.size - 15 + i, bit(i));
+        this.setFunctionModule(8, this.size - 8, true);
+    }
+
+    /**
+     * Draws the two copies of the version information, which only versions 7 and up have.
+     */
+    drawVersionBits() {
+        if (this.version < 7) return;
+        let remainder = this.version;
+        for (let i = 0; i < 12; i++) remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+        const bits = (this.version << 12) | remainder;
+
+        for (let i = 0; i < 18; i++) {
+            const isDark = ((bits >>> i) & 1) !== 0;
+            const a = this.size - 11 + i % 3;
+            const b = Math.floor(i / 3);
+            this.setFunctionModule(a, b, isDark);
+            this.setFunctionModule(b, a, isDark);
+        }
+    }
+
+    /**
+     * Places the codewords in the zigzag order, two columns at a time from the bottom right.
+     * @param {number[]} codewords All codewords, interleaved.
+     */
+    drawCodewords(codewords) {
+        let i = 0;
+        for (let right = this.size - 1; right >= 1; right -= 2) {
+            // The vertical timing pattern takes column 6.
+            if (right === 6) right = 5;
+            for (let vertical = 0; vertical < this.size; vertical++) {
+                for (let j = 0; j < 2; j++) {
+                    const x = right - j;
+                    const upward = ((right + 1) & 2) === 0;
+                    const y = upward ? this.size - 1 - vertical : vertical;
+                    if (!this.isFunction[y][x] && i < codewords.length * 8) {
+                        this.modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) !== 0;
+                        i++;
+                    }
+                    // Modules left over after the last codeword stay light.
+                }
+            }
+        }
+    }
+
+    /**
+     * Flips the data modules selected by a mask pattern.
+     * @param {number} mask The mask pattern, 0 to 7.
+     */
+    applyMask(mask) {
+        const conditions = [
+            (x, y) => (x + y) % 2 === 0,
+            (x, y) => y % 2 === 0,
+            (x, y) => x % 3 === 0,
+            (x, y) => (x + y) % 3 === 0,
+            (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+            (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+            (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+            (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+        ];
+        for (let y = 0; y < this.size; y++) {
+            for (let x = 0; x < this.size; x++) {
+                if (!this.isFunction[y][x] && conditions[mask](x, y)) {
+                    this.modules[y][x] = !this.modules[y][x];
+                }
+            }
+        }
+    }
+
+    /**
+     * Scores the symbol with the four penalty rules of the standard; lower is easier to scan.
+     * @returns {number} The penalty.
+     */
+    getPenalty() {
+        let penalty = 0;
+        const lines = [];
+        for (let i = 0; i < this.size; i++) {
+            lines.push(this.modules[i]);
+            lines.push(this.modules.map(row => row[i]));
+        }
+
+        lines.forEach(line => {
+            // Rule 1: runs of five or more modules of the same color.
+            let runLength = 1;
+            for (let i = 1; i <= line.length; i++) {
+                if (i < line.length && line[i] === line[i - 1]) {
+                    runLength++;
+                } else {
+                    if (runLength >= 5) penalty += runLength - 2;
+                    runLength = 1;
+                }
+            }
+
+            // Rule 3: 1:1:3:1:1 finder-like patterns with four light modules on either side.
+            const padded = [false, false, false, false, ...line, false, false, false, false];
+            for (let i = 0; i + 11 <= padded.length; i++) {
+                const core = padded[i + 4] && !padded[i + 5] && padded[i + 6] && padded[i + 7] && padded[i + 8] && !padded[i + 9] && padded[i + 10];
+                if (!core) continue;
+                const lightBefore = !padded[i] && !padded[i + 1] && !padded[i + 2] && !padded[i + 3];
+                const lightAfter = i + 14 < padded.length && !padded[i + 11] && !padded[i + 12] && !padded[i + 13] && !padded[i + 14];
+                if (lightBefore) penalty += 40;
+                if (lightAfter) penalty += 40;
+            }
+        });
+
+        // Rule 2: 2x2 blocks of the same color.
+        let darkCount = 0;
+        for (let y = 0; y < this.size; y++) {
+            for (let x = 0; x < this.size; x++) {
+                if (this.modules[y][x]) darkCount++;
+                if (x + 1 < this.size && y + 1 < this.size) {
+                    const color = this.modules[y][x];
+                    if (color === this.modules[y][x + 1] && color === this.modules[y + 1][x] && color === this.modules[y + 1][x + 1]) {
+                        penalty += 3;
+                    }
+                }
+            }
+        }
+
+        // Rule 4: how far the share of dark modules is from half, in steps of 5%.
+        const total = this.size * this.size;
+        penalty += Math.floor(Math.abs(darkCount * 20 - total * 10) / total) * 10;
+        return penalty;
+    }
+}
+
+/**
+ * Draws a QR code as an SVG image.
+ * @param {{size: number, modules: boolean[][]}} qr The QR code from createQrCode.
+ * @param {number} [margin=4] The quiet zone around the symbol, in modules.
+ * @returns {string} The SVG markup, which scales to the size of its container.
+ */
+function qrCodeToSvg(qr, margin = 4) {
+    const dimension = qr.size + margin * 2;
+    const path = [];
+    qr.modules.forEach((row, y) => {
+        row.forEach((isDark, x) => {
+            if (isDark) path.push(`M${x + margin},${y + margin}h1v1h-1z`);
+        });
+    });
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${dimension} ${dimension}" shape-rendering="crispEdges">`
+        + `<rect width="100%" height="100%" fill="#fff"/><path d="${path.join('')}" fill="#000"/></svg>`;
+}
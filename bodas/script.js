@@ -3,53 +3,39 @@
  * Main Application Logic
  * --------------------------------------------------------------------
  * This script handles the entire lifecycle of the wedding invitation page.
- * 1. It fetches guest and event data from Google Sheets.
+ * 1. It loads guest and event data from the configured data source (see data.js).
  * 2. It waits for custom fonts to load to prevent unstyled text.
  * 3. It parses the invitation code from the URL.
- * 4. It decrypts and processes the data to dynamically build the page sections.
- * 5. It sets up navigation, scrolling, and other interactive elements.
- * 6. It includes error handling and retry mechanisms for robustness.
+ * 4. It decrypts (see crypto.js) and processes the data to dynamically build the page sections.
+ * 5. It sets up navigation, scrolling, and other interactive elements, and keeps
+ *    the visible section in the URL hash (e.g. #fiesta) for links and the back button.
+ * 6. It includes error handling and retry mechanisms for robustness, with a
+ *    message for each kind of failure and a ?debug=1 panel (see diagnostics.js).
+ * 7. It registers a service worker (sw.js) so the page also works offline.
+ * 8. It has a print mode (?print=1) for a paper copy of the invitation.
  * --------------------------------------------------------------------
  */
 
-// URLs for the public Google Sheets containing guest and event data.
-const googleSheetUrl = 'https://docs.google.com/spreadsheets/d/e/2PACX-1vQcjtPM-3LNZFamySSe9rbVOjTu1pRSQ0Te5ILx6MmF9ClbBJUZvnfPHYsIg4_CclD_7ba0lv1QMdiZ/pub?output=csv';
-const eventDataUrl = 'https://docs.google.com/spreadsheets/d/e/2PACX-1vQcjtPM-3LNZFamySSe9rbVOjTu1pRSQ0Te5ILx6MmF9ClbBJUZvnfPHYsIg4_CclD_7ba0lv1QMdiZ/pub?output=csv&gid=1404690345';
-
-/**
- * Fetches a resource with a specified number of retries to handle transient network issues.
- * @param {string} url The URL to fetch.
- * @param {number} [retries=3] The number of times to retry on failure.
- * @returns {Promise<Response>} A promise that resolves with the response.
- */
-async function fetchWithRetry(url, retries = 3) {
-    for (let i = 0; i < retries; i++) {
-        try {
-            // Append a timestamp to the URL to prevent browser caching.
-            const response = await fetch(`${url}&_=${Date.now()}`);
-            if (response.ok) {
-                return response;
-            }
-            console.warn(`Fetch attempt ${i + 1} failed with status: ${response.status}`);
-        } catch (error) {
-            console.warn(`Fetch attempt ${i + 1} failed with error:`, error);
-        }
-    }
-    throw new Error(`Failed to fetch ${url} after ${retries} attempts.`);
-}
-
 /**
  * Main entry point. Fires after the initial HTML document has been completely loaded and parsed.
  */
 document.addEventListener('DOMContentLoaded', () => {
+    registerServiceWorker();
+    document.title = invitationConfig.text.title;
+    chooseLocale();
+    setupInvitationClock();
+    const printRequested = setupPrintMode();
+
     // Wait for all custom fonts to be loaded before processing the data and showing the page.
     // This prevents a "flash of unstyled text" (FOUT).
-    document.fonts.ready.then(async () => {
+    measureStage('fonts', () => document.fonts.ready).then(async () => {
+        let dataSource = null;
         try {
-            // Fetch guest and event data concurrently for efficiency.
-            const [guestCsvText, eventCsvText] = await Promise.all([
-                fetchWithRetry(googleSheetUrl).then(res => res.text()),
-                fetchWithRetry(eventDataUrl).then(res => res.text())
+            // Load guest and event data concurrently for efficiency.
+            dataSource = createDataSource(invitationConfig.dataSource);
+            const [guestData, eventData] = await Promise.all([
+                measureStage('load guests', () => dataSource.loadGuests()),
+                measureStage('load events', () => dataSource.loadEvents())
             ]);
 
             // Get the invitation code from the URL.
@@ -57,27 +43,119 @@ document.addEventListener('DOMContentLoaded', () => {
             const code = params.get('i');
 
             // Process all data and build the page.
-            await processGuestData(code, guestCsvText, eventCsvText);
+            const calendarEvents = await processGuestData(code, guestData, eventData, dataSource);
+
+            // Let the guest know when the network failed and the saved copy of the data is shown.
+            if (dataSource.servedFromCache) {
+                showOfflineNotice();
+            }
 
             // Now that data is processed and sections are visible, remove the loading class to show the content.
             document.body.classList.remove('fonts-loading');
 
             // Initialize interactive elements.
             setupVerticalScrolling();
+            startEventTimeline(calendarEvents);
+            // A link to a specific page (e.g. #fiesta) wins over the event-day page chosen above.
+            openSectionFromHash();
+            addPrintLinks();
+            if (printRequested) printWhenReady();
         } catch (error) {
-            console.error("Fatal Error:", error);
-            // If fetching or initial processing fails, show a connection error message.
+            // If loading fails, show the message for what went wrong: the connection, or a sheet that could not be parsed.
             const spinner = document.getElementById('loading-spinner');
             if (spinner) spinner.style.display = 'none';
-            
-            const errorSection = document.querySelector('[data-section="no-code"]');
-            if(errorSection) {
-                displayMessage('connection-error-message');
+
+            if (error instanceof CsvParseError) {
+                console.error(`Could not parse the ${error.source || 'guest'} data (row ${error.row}, column ${error.column}):`, error);
+            } else {
+                console.error("Fatal Error:", error);
             }
+            recordError(error);
+            displayMessage(getErrorMessageId(error));
+            setupNavigation();
+            document.body.classList.remove('fonts-loading');
         }
+        showDebugPanel(dataSource);
     });
 });
 
+/**
+ * Registers the service worker that caches the page and the last good data for offline use.
+ * Registration failures are not fatal: the page simply keeps working online only.
+ */
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) return;
+    navigator.serviceWorker.register('sw.js').catch(error => {
+        console.warn('Service worker registration failed:', error);
+    });
+}
+
+/**
+ * Turns on print mode, which lays out every section one per page (see print.css): for good
+ * with `?print=1`, and otherwise only while the browser prints the page.
+ * @returns {boolean} True if the URL asked for print mode.
+ */
+function setupPrintMode() {
+    const requested = new URLSearchParams(window.location.search).get('print') === '1';
+    document.body.classList.toggle('print-mode', requested);
+    window.addEventListener('beforeprint', () => document.body.classList.add('print-mode'));
+    window.addEventListener('afterprint', () => document.body.classList.toggle('print-mode', requested));
+    return requested;
+}
+
+/**
+ * Adds the printed versions of the links that only work on screen: the URL and QR code of each
+ * map button and the video, and of the invitation itself in the RSVP form. They stay hidden
+ * outside print mode.
+ */
+function addPrintLinks() {
+    document.querySelectorAll('.mapa:not(.hidden)').forEach(link => {
+        link.after(createPrintLink(link.href, 'print.map'));
+    });
+    document.querySelectorAll('[data-section="video"] .video-link[href]').forEach(link => {
+        link.closest('.video-fallback').after(createPrintLink(link.href, 'print.video'));
+    });
+    const form = document.getElementById('rsvp-form');
+    if (form) form.appendChild(createPrintLink(getInvitationUrl(), 'print.rsvp'));
+}
+
+/**
+ * Creates a printed link from its template.
+ * @param {string} url The link.
+ * @param {string} labelKey The message key of the text before it; its plural form follows the guest count.
+ * @returns {HTMLElement} The printed link.
+ */
+function createPrintLink(url, labelKey) {
+    const template = document.getElementById('print-link-template');
+    const printLink = template.content.cloneNode(true).firstElementChild;
+    printLink.querySelector('.qr').innerHTML = qrCodeToSvg(createQrCode(url));
+    const label = printLink.querySelector('.label');
+    label.dataset.i18n = labelKey;
+    label.dataset.i18nCount = 'guest';
+    printLink.querySelector('.url').textContent = url;
+    translateElement(printLink);
+    return printLink;
+}
+
+/**
+ * Opens the print dialog once the line art has loaded, so it is on the printed pages.
+ */
+function printWhenReady() {
+    const pending = Array.from(document.images).filter(image => !image.complete);
+    Promise.all(pending.map(image => new Promise(resolve => {
+        image.addEventListener('load', resolve, { once: true });
+        image.addEventListener('error', resolve, { once: true });
+    }))).then(() => window.print());
+}
+
+/**
+ * Shows the notice telling the guest that the data comes from the offline cache.
+ */
+function showOfflineNotice() {
+    const notice = document.getElementById('offline-notice');
+    if (notice) notice.classList.remove('hidden');
+}
+
 /**
  * Sets up the vertical scrolling behavior for each section, including the appearance
  * of up/down buttons and fade overlays based on scroll position.
@@ -143,41 +221,31 @@ function setupVerticalScrolling() {
     });
 }
 
-/**
- * Parses a CSV string into an array of objects.
- * @param {string} csvText The raw CSV string.
- * @returns {Array<Object>} An array of objects, where each object represents a row.
- */
-function parseCsv(csvText) {
-    const lines = csvText.split('\n').filter(line => line.trim() !== '');
-    if (lines.length < 1) return [];
-
-    const headers = lines[0].split(',').map(h => h.trim());
-    const dataRows = lines.slice(1).map(line => {
-        const values = line.split(',').map(v => v.trim());
-        const rowObject = {};
-        headers.forEach((header, index) => {
-            rowObject[header] = values[index];
-        });
-        return rowObject;
-    });
-    return dataRows;
-}
+// Whether the navigation controls are set up. Both a loaded page and a failed one set them up,
+// and a page can fail after loading, so setupNavigation may be called twice.
+const navigationState = {
+    ready: false
+};
 
 /**
  * Sets up the horizontal navigation controls (left/right buttons and indicator dots).
+ * Only the first call that finds sections to navigate does anything, so the key, swipe
+ * and history listeners are never added twice.
  */
 function setupNavigation() {
+    if (navigationState.ready) return;
     const container = document.querySelector('.scroll-container');
     const sections = Array.from(document.querySelectorAll('.scroll-section'));
     const indicatorContainer = document.querySelector('.indicator-container');
     const leftBtn = document.querySelector('.scroll-h-button.left');
     const rightBtn = document.querySelector('.scroll-h-button.right');
 
-    if (!container || sections.length <= 1) {
+    // In print mode the sections are laid out one per page, with nothing to navigate.
+    if (!container || sections.length <= 1 || document.body.classList.contains('print-mode')) {
         if(indicatorContainer) indicatorContainer.classList.add('hidden');
         return;
     }
+    navigationState.ready = true;
 
     // Show controls if there are multiple sections.
     if(leftBtn) {
@@ -194,40 +262,82 @@ function setupNavigation() {
         const targetSection = sections[index];
         if (targetSection) {
             const scrollPosition = index * targetSection.offsetWidth;
-            container.scrollTo({ left: scrollPosition, behavior: 'smooth' });
+            container.scrollTo({ left: scrollPosition, behavior: getScrollBehavior('smooth') });
         }
     };
 
+    // The card is a tabbed carousel: the sections are tab panels and the dots their tabs.
+    container.setAttribute('role', 'region');
+    container.setAttribute('aria-roledescription', t('nav.carousel'));
+    container.setAttribute('aria-label', invitationConfig.text.title);
+    sections.forEach((section, index) => {
+        section.id = `section-${section.dataset.section}`;
+        section.setAttribute('role', 'tabpanel');
+        section.setAttribute('aria-roledescription', t('nav.slide'));
+        section.setAttribute('aria-label', t('nav.position', { number: index + 1, total: sections.length }));
+        section.tabIndex = -1;
+    });
+
     // Create indicator dots from the template.
     const dotTemplate = document.getElementById('indicator-dot-template');
     indicatorContainer.innerHTML = '';
-    sections.forEach((_, index) => {
+    indicatorContainer.setAttribute('role', 'tablist');
+    indicatorContainer.setAttribute('aria-label', t('nav.sections'));
+    sections.forEach((section, index) => {
         const dot = dotTemplate.content.cloneNode(true).firstElementChild;
-        dot.setAttribute('aria-label', `Go to section ${index + 1}`);
+        dot.setAttribute('aria-label', t('nav.goTo', { number: index + 1 }));
+        dot.setAttribute('aria-controls', section.id);
         dot.addEventListener('click', () => scrollToSection(index));
         indicatorContainer.appendChild(dot);
     });
 
     const dots = indicatorContainer.querySelectorAll('.indicator-dot');
+    let activeIndex = -1;
+    // Where keyboard navigation moves the focus once the new section is shown: 'tab', 'section' or null.
+    let pendingFocus = null;
+
+    // Updates the dots, buttons, URL and focus when another section becomes the visible one.
+    const activateSection = (index) => {
+        if (index === activeIndex) return;
+        const isFirstActivation = activeIndex === -1;
+        activeIndex = index;
+
+        dots.forEach((dot, dotIndex) => {
+            dot.classList.toggle('active', dotIndex === index);
+            dot.setAttribute('aria-selected', String(dotIndex === index));
+            // Only the selected tab is in the tab order; the arrow keys reach the others.
+            dot.tabIndex = dotIndex === index ? 0 : -1;
+        });
+
+        leftBtn.disabled = index === 0;
+        rightBtn.disabled = index === sections.length - 1;
+        recordSectionInUrl(sections[index].dataset.section);
+        if (!isFirstActivation) announceSection(sections[index], index, sections.length);
+
+        // Keep the focus on screen: follow keyboard navigation, and leave sections that scrolled away.
+        const focused = document.activeElement;
+        if (pendingFocus === 'tab') {
+            dots[index].focus();
+        } else if (pendingFocus === 'section' || (focused?.closest('.scroll-section') && !sections[index].contains(focused))) {
+            sections[index].focus({ preventScroll: true });
+        }
+        pendingFocus = null;
+    };
 
-    // Use an IntersectionObserver to update the active dot and button states.
+    // Use an IntersectionObserver to find the visible section.
     const observer = new IntersectionObserver((entries) => {
         entries.forEach(entry => {
-            if (entry.isIntersecting) {
-                const intersectingIndex = sections.indexOf(entry.target);
-                
-                dots.forEach((dot, dotIndex) => {
-                    dot.classList.toggle('active', dotIndex === intersectingIndex);
-                });
-
-                leftBtn.disabled = intersectingIndex === 0;
-                rightBtn.disabled = intersectingIndex === sections.length - 1;
-            }
+            if (entry.isIntersecting) activateSection(sections.indexOf(entry.target));
         });
     }, { root: container, threshold: 0.6 });
 
     sections.forEach(section => observer.observe(section));
 
+    // Back and forward move between the pages the URL recorded; the first entry may have no hash.
+    window.addEventListener('popstate', () => {
+        scrollToSectionId(getSectionFromHash() || sections[0].dataset.section, 'smooth');
+    });
+
     // Button click handlers.
     leftBtn.addEventListener('click', () => {
         const currentIndex = Math.round(container.scrollLeft / sections[0].offsetWidth);
@@ -238,15 +348,457 @@ function setupNavigation() {
         const currentIndex = Math.round(container.scrollLeft / sections[0].offsetWidth);
         if (currentIndex < sections.length - 1) scrollToSection(currentIndex + 1);
     });
+
+    // Arrow keys, PageUp/PageDown and Home/End move between sections, except while typing in the RSVP form.
+    document.addEventListener('keydown', (event) => {
+        if (event.defaultPrevented || event.altKey || event.ctrlKey || event.metaKey) return;
+        if (event.target.closest?.('input, textarea, select, video, audio, [contenteditable]')) return;
+        const index = getKeyboardTargetIndex(event.key, activeIndex, sections.length);
+        if (index === null) return;
+        event.preventDefault();
+        if (index === activeIndex) return;
+        pendingFocus = event.target.closest?.('.indicator-dot') ? 'tab' : 'section';
+        scrollToSection(index);
+    });
+
+    // Horizontal swipes turn the page; the browser keeps vertical scrolling and zooming (see touch-action in style.css).
+    let swipeStart = null;
+    container.addEventListener('touchstart', (event) => {
+        const touch = event.touches[0];
+        swipeStart = event.touches.length === 1 ? { x: touch.clientX, y: touch.clientY, time: Date.now() } : null;
+    }, { passive: true });
+    container.addEventListener('touchend', (event) => {
+        if (!swipeStart) return;
+        const touch = event.changedTouches[0];
+        const direction = getSwipeDirection(touch.clientX - swipeStart.x, touch.clientY - swipeStart.y, Date.now() - swipeStart.time);
+        swipeStart = null;
+        const index = activeIndex + direction;
+        if (direction !== 0 && index >= 0 && index < sections.length) scrollToSection(index);
+    }, { passive: true });
+}
+
+// A swipe must move at least this far, in CSS pixels, and mostly sideways to turn the page.
+const SWIPE_MIN_DISTANCE = 50;
+const SWIPE_MAX_SLOPE = 0.6; // Vertical distance allowed per pixel of horizontal distance.
+// Slower gestures are taken as reading or dragging rather than a swipe, in milliseconds.
+const SWIPE_MAX_DURATION = 800;
+
+/**
+ * Works out which section a navigation key leads to.
+ * @param {string} key The KeyboardEvent key.
+ * @param {number} index The index of the visible section.
+ * @param {number} count The number of sections.
+ * @returns {number|null} The index of the target section, or null if the key does not navigate.
+ */
+function getKeyboardTargetIndex(key, index, count) {
+    switch (key) {
+        case 'ArrowLeft':
+        case 'PageUp':
+            return Math.max(index - 1, 0);
+        case 'ArrowRight':
+        case 'PageDown':
+            return Math.min(index + 1, count - 1);
+        case 'Home':
+            return 0;
+        case 'End':
+            return count - 1;
+        default:
+            return null;
+    }
+}
+
+/**
+ * Tells whether a touch gesture is a swipe, and which way it turns the page.
+ * @param {number} dx The horizontal distance, positive to the right.
+ * @param {number} dy The vertical distance.
+ * @param {number} duration How long the gesture took, in milliseconds.
+ * @returns {number} 1 for the next section (a swipe to the left), -1 for the previous one, 0 if it is not a swipe.
+ */
+function getSwipeDirection(dx, dy, duration) {
+    if (Math.abs(dx) < SWIPE_MIN_DISTANCE || Math.abs(dy) > Math.abs(dx) * SWIPE_MAX_SLOPE || duration > SWIPE_MAX_DURATION) {
+        return 0;
+    }
+    return dx < 0 ? 1 : -1;
+}
+
+/**
+ * Returns the scroll behavior to use, replacing smooth scrolling with an instant jump
+ * when the guest's system asks for reduced motion.
+ * @param {string} behavior The preferred behavior, 'smooth' or 'auto'.
+ * @returns {string} The behavior to pass to scrollTo.
+ */
+function getScrollBehavior(behavior) {
+    return window.matchMedia?.('(prefers-reduced-motion: reduce)').matches ? 'auto' : behavior;
+}
+
+/**
+ * Tells screen reader users which section is now shown, through the live region.
+ * @param {HTMLElement} section The section.
+ * @param {number} index Its position among the sections.
+ * @param {number} count The number of sections.
+ */
+function announceSection(section, index, count) {
+    const announcer = document.getElementById('section-announcer');
+    if (!announcer) return;
+    const heading = section.querySelector('h1, h2, h3');
+    const title = heading?.textContent.trim() || invitationConfig.text.title;
+    announcer.textContent = t('nav.current', { number: index + 1, total: count, title });
+}
+
+// How long the visible section must stay put before the URL hash records it, in milliseconds.
+const SECTION_HASH_DELAY = 300;
+
+// Whether a section has been recorded in the URL yet, and the pending recording.
+const sectionRouting = {
+    recorded: false,
+    timer: null
+};
+
+/**
+ * Returns the section named by the URL hash, e.g. 'fiesta' for `?i=CODE#fiesta`.
+ * @returns {string|null} The data-section name, or null if the hash names no section on the page.
+ */
+function getSectionFromHash() {
+    let id;
+    try {
+        id = decodeURIComponent(window.location.hash.slice(1));
+    } catch (e) {
+        // A malformed escape (e.g. #%E0) names no section, like any other unknown hash.
+        return null;
+    }
+    if (!id || !isRoutableSection(id)) return null;
+    const exists = Array.from(document.querySelectorAll('[data-section]')).some(element => element.dataset.section === id);
+    return exists ? id : null;
+}
+
+/**
+ * Tells whether a section can be named in the URL: the cover and the configured sections,
+ * but not the error and no-code messages.
+ * @param {string} id The data-section name.
+ * @returns {boolean} True if the section is routable.
+ */
+function isRoutableSection(id) {
+    return id === 'portada' || invitationConfig.sections.some(section => section.id === id);
+}
+
+/**
+ * Records the visible section in the URL hash once scrolling settles, so a smooth scroll across
+ * several pages adds one history entry rather than one per page. The first section recorded
+ * replaces the current entry; later ones are added to the history for the back button.
+ * @param {string} id The data-section name of the visible section.
+ */
+function recordSectionInUrl(id) {
+    if (!isRoutableSection(id)) return;
+    clearTimeout(sectionRouting.timer);
+    sectionRouting.timer = setTimeout(() => {
+        if (window.location.hash !== `#${id}`) {
+            const url = new URL(window.location.href);
+            url.hash = id;
+            if (sectionRouting.recorded) {
+                history.pushState(null, '', url);
+            } else {
+                history.replaceState(null, '', url);
+            }
+        }
+        sectionRouting.recorded = true;
+    }, SECTION_HASH_DELAY);
+}
+
+/**
+ * Opens the page on the section named by the URL hash, if there is one.
+ * @returns {boolean} True if the hash named a section on the page.
+ */
+function openSectionFromHash() {
+    const id = getSectionFromHash();
+    if (id) scrollToSectionId(id);
+    return id !== null;
+}
+
+/**
+ * Finds the guest row for an invitation code. Rows with a lookup hash are matched by
+ * hashing the code once; rows without one (legacy sheets) by decrypting their `Codigo`.
+ * @param {Array<Object>} guestData The guest rows from the data source.
+ * @param {string} code The short invitation code from the URL.
+ * @returns {Promise<Object|null>} The matching (still encrypted) row, or null if there is none.
+ */
+async function findGuest(guestData, code) {
+    if (!code) return null;
+
+    const indexed = guestData.filter(guest => guest[invitationConfig.lookup.column]);
+    if (indexed.length > 0) {
+        const hash = await hashLookupCode(code, invitationConfig.lookup.key);
+        const match = indexed.find(guest => guest[invitationConfig.lookup.column].trim().toLowerCase() === hash);
+        if (match) return match;
+    }
+
+    for (const guest of guestData) {
+        if (!guest[invitationConfig.lookup.column] && await decryptField(guest.Codigo, code) === code) {
+            return guest;
+        }
+    }
+    return null;
+}
+
+/**
+ * Returns the storage key for the pending RSVP of an invitation code.
+ * @param {string} code The short invitation code.
+ * @returns {string} The localStorage key.
+ */
+function pendingRsvpKey(code) {
+    return `rsvp-pending:${code}`;
+}
+
+/**
+ * Reads the RSVP answer that was sent but not yet seen in the guest sheet.
+ * @param {string} code The short invitation code.
+ * @returns {{answer: string, details?: Object, submittedAt: number}|null} The pending answer, or null if there is none.
+ */
+function loadPendingRsvp(code) {
+    try {
+        return JSON.parse(localStorage.getItem(pendingRsvpKey(code)));
+    } catch (e) {
+        // Storage may be unavailable (e.g. private browsing) or hold invalid JSON.
+        return null;
+    }
+}
+
+/**
+ * Stores or clears the pending RSVP answer of an invitation code.
+ * @param {string} code The short invitation code.
+ * @param {{answer: string, details: Object, submittedAt: number}|null} pending The pending answer and its details, or null to clear it.
+ */
+function savePendingRsvp(code, pending) {
+    try {
+        if (pending) {
+            localStorage.setItem(pendingRsvpKey(code), JSON.stringify(pending));
+        } else {
+            localStorage.removeItem(pendingRsvpKey(code));
+        }
+    } catch (e) {
+        console.warn('Could not store the pending RSVP:', e);
+    }
+}
+
+/**
+ * Shows the part of the RSVP section that matches the given state and hides the others.
+ * @param {string} state 'Si' or 'No' once confirmed, 'pending' while waiting for the sheet,
+ *     'failed' when the answer never showed up, 'closed' after the deadline without an answer,
+ *     or anything else to show the form.
+ * @param {boolean} [canChange=false] Whether a confirmed answer can still be changed.
+ */
+function showRsvpState(state, canChange = false) {
+    const isAnswered = state === 'Si' || state === 'No';
+    const panels = {
+        'rsvp-form': !['Si', 'No', 'pending', 'failed', 'closed'].includes(state),
+        'rsvp-confirmed-message': state === 'Si',
+        'rsvp-declined-message': state === 'No',
+        'rsvp-message': state === 'pending',
+        'rsvp-retry': state === 'failed',
+        'rsvp-change': isAnswered && canChange,
+        'rsvp-closed-message': state === 'closed'
+    };
+    Object.entries(panels).forEach(([id, isVisible]) => {
+        const panel = document.getElementById(id);
+        if (panel) panel.classList.toggle('hidden', !isVisible);
+    });
+}
+
+/**
+ * Checks whether answers are still accepted: the deadline day counts, in the wedding's time zone.
+ * @param {string} deadline The last day to answer, as YYYY-MM-DD.
+ * @param {number} [now] The current time in milliseconds.
+ * @returns {boolean} True until the deadline day is over.
+ */
+function isRsvpOpen(deadline, now = invitationClock.now()) {
+    return getConfigDay(now) <= deadline;
+}
+
+/**
+ * Returns the calendar day in the wedding's time zone, to compare with the configured days.
+ * @param {number} now The time in milliseconds.
+ * @returns {string} The day as YYYY-MM-DD.
+ */
+function getConfigDay(now) {
+    // en-CA formats dates as YYYY-MM-DD, which compare like the configured days.
+    return new Date(now).toLocaleDateString('en-CA', { timeZone: invitationConfig.timeZone });
+}
+
+/**
+ * Writes the deadline into the RSVP messages that mention it.
+ * @param {string} deadline The last day to answer, as YYYY-MM-DD.
+ */
+function showRsvpDeadline(deadline) {
+    document.querySelectorAll('[data-section="rsvp"] .rsvp-deadline').forEach(element => {
+        element.dataset.i18nParams = JSON.stringify({ date: formatConfigDate(deadline) });
+        translateElement(element);
+    });
+}
+
+/**
+ * Checks whether a guest's row shows a sent answer: its `Confirmado` column and the detail
+ * columns configured in invitationConfig.rsvp.columns must match what was sent.
+ * @param {Object|null} guest The guest's row.
+ * @param {{answer: string, details?: {attendees: string[], dietary: string, note: string}}} pending The
+ *     sent answer. Answers stored before the details were sent have none, and only the answer is compared.
+ * @returns {boolean} True if the row shows the answer and its details.
+ */
+function isRsvpInSheet(guest, pending) {
+    if (!guest || guest.Confirmado !== pending.answer) return false;
+    if (!pending.details) return true;
+
+    const { columns, entries } = invitationConfig.rsvp;
+    const { attendees, dietary, note } = pending.details;
+    // Names may come back from the sheet in another order or spacing.
+    const sameNames = (cell, names) => parseGuestNames(cell).sort().join(',') === [...names].sort().join(',');
+    const checks = {
+        attendees: cell => sameNames(cell, attendees),
+        headcount: cell => (parseInt(cell, 10) || 0) === attendees.length,
+        dietary: cell => (cell || '').trim() === dietary,
+        note: cell => (cell || '').trim() === note
+    };
+    return Object.entries(checks).every(([detail, matches]) => {
+        const column = columns[detail];
+        return !column || !entries[detail] || matches(guest[column]);
+    });
+}
+
+/**
+ * Polls the guest sheet with an increasing delay until it shows the sent answer (see isRsvpInSheet).
+ * @param {Object} dataSource The data source to reload guests from.
+ * @param {string} code The short invitation code.
+ * @param {{answer: string, details?: Object}} pending The sent answer and its details.
+ * @returns {Promise<boolean>} True once the sheet shows the answer, false if it never did.
+ */
+async function waitForRsvpConfirmation(dataSource, code, pending) {
+    let delay = invitationConfig.rsvp.poll.initialDelay;
+    for (let attempt = 1; attempt <= invitationConfig.rsvp.poll.maxAttempts; attempt++) {
+        await new Promise(resolve => setTimeout(resolve, delay));
+        delay = Math.min(delay * 2, invitationConfig.rsvp.poll.maxDelay);
+
+        try {
+            const guest = await findGuest(await dataSource.loadGuests(), code);
+            if (isRsvpInSheet(guest, pending)) {
+                return true;
+            }
+        } catch (error) {
+            // A failed check is not a failed RSVP; try again on the next round.
+            console.warn(`RSVP check ${attempt} failed:`, error);
+        }
+    }
+    return false;
+}
+
+/**
+ * Lists the people a group can confirm: every named guest, plus an unnamed
+ * companion for each place in `Cantidad` that has no name in `Invitados`.
+ * @param {Object} guestInfo The guest's decrypted data object.
+ * @returns {string[]} The attendee labels.
+ */
+function getAttendeeOptions(guestInfo) {
+    const names = parseGuestNames(guestInfo.Invitados);
+    const guestCount = parseInt(guestInfo.Cantidad, 10) || 0;
+    for (let i = names.length; i < guestCount; i++) {
+        names.push(t('rsvp.companion', { number: i - names.length + 1 }));
+    }
+    return names;
+}
+
+/**
+ * Shows the RSVP detail fields whose Google Form entries are configured and names their inputs.
+ * @param {string[]} attendeeOptions The people the group can confirm.
+ */
+function setupRsvpDetailFields(attendeeOptions) {
+    const fields = [
+        { entry: invitationConfig.rsvp.entries.attendees, fieldId: 'rsvp-attendees-field', inputId: 'rsvp-attendees-input' },
+        { entry: invitationConfig.rsvp.entries.headcount, inputId: 'rsvp-headcount-input' },
+        { entry: invitationConfig.rsvp.entries.dietary, fieldId: 'rsvp-dietary-field', inputId: 'rsvp-dietary-input' },
+        { entry: invitationConfig.rsvp.entries.note, fieldId: 'rsvp-note-field', inputId: 'rsvp-note-input' }
+    ];
+    fields.forEach(({ entry, fieldId, inputId }) => {
+        const input = document.getElementById(inputId);
+        if (!entry || !input) return;
+        input.name = entry;
+        if (fieldId) document.getElementById(fieldId)?.classList.remove('hidden');
+    });
+
+    // A single guest has nobody to choose between.
+    const list = document.getElementById('rsvp-attendee-list');
+    const template = document.getElementById('rsvp-attendee-template');
+    if (!invitationConfig.rsvp.entries.attendees || !list || !template || attendeeOptions.length < 2) {
+        document.getElementById('rsvp-attendees-field')?.classList.add('hidden');
+        return;
+    }
+    list.innerHTML = '';
+    attendeeOptions.forEach(name => {
+        const option = template.content.cloneNode(true).firstElementChild;
+        option.querySelector('input').value = name;
+        option.querySelector('.name').textContent = name;
+        list.appendChild(option);
+    });
+}
+
+/**
+ * Reads the RSVP details the guest filled in.
+ * @param {string} answer The answer being sent ('Si' or 'No').
+ * @param {string[]} attendeeOptions The people the group can confirm.
+ * @returns {{attendees: string[], dietary: string, note: string}|null} The details, or null
+ *     if the guest said yes without selecting anybody.
+ */
+function collectRsvpDetails(answer, attendeeOptions) {
+    const checkboxes = Array.from(document.querySelectorAll('#rsvp-attendee-list input[type="checkbox"]'));
+    let attendees = [];
+    if (answer === 'Si') {
+        attendees = checkboxes.length > 0 ? checkboxes.filter(box => box.checked).map(box => box.value) : attendeeOptions;
+    }
+    const hasNobody = answer === 'Si' && checkboxes.length > 0 && attendees.length === 0;
+    document.getElementById('rsvp-attendees-error')?.classList.toggle('hidden', !hasNobody);
+    if (hasNobody) return null;
+
+    return {
+        attendees,
+        dietary: document.getElementById('rsvp-dietary-input')?.value.trim() || '',
+        note: document.getElementById('rsvp-note-input')?.value.trim() || ''
+    };
 }
 
 /**
- * Sets up the RSVP form by adding click listeners to the confirmation buttons
- * to populate hidden fields, show a spinner, and reload the page after submission.
+ * Copies RSVP details into the form inputs that are posted to the Google Form.
+ * @param {{attendees: string[], dietary: string, note: string}} details The details to send.
+ */
+function fillRsvpDetailInputs(details) {
+    const values = {
+        'rsvp-attendees-input': details.attendees.join(', '),
+        'rsvp-headcount-input': String(details.attendees.length),
+        'rsvp-dietary-input': details.dietary,
+        'rsvp-note-input': details.note
+    };
+    Object.entries(values).forEach(([id, value]) => {
+        const input = document.getElementById(id);
+        if (input) input.value = value;
+    });
+}
+
+/**
+ * Shows who is coming below the confirmation message.
+ * @param {string[]} attendees The names of the people attending.
+ * @param {number} total The number of people invited.
+ */
+function showAttendeeSummary(attendees, total) {
+    const summary = document.getElementById('rsvp-attendee-summary');
+    if (!summary || attendees.length === 0) return;
+    summary.querySelector('.names').textContent = formatList(attendees);
+    summary.querySelector('.count').textContent = t('rsvp.confirmed.count', { count: attendees.length, total: Math.max(total, attendees.length) });
+    summary.classList.remove('hidden');
+}
+
+/**
+ * Sets up the RSVP form. Submitting posts the answer to the Google Form through the hidden iframe,
+ * remembers it as pending and waits until the guest sheet confirms it, offering a retry if it never does.
  * @param {Object} guestInfo The guest's data object from the spreadsheet.
  * @param {string} code The short invitation code from the URL.
+ * @param {Object} dataSource The data source used to check the guest sheet.
  */
-function setupRsvpForm(guestInfo, code) {
+function setupRsvpForm(guestInfo, code, dataSource) {
     const form = document.getElementById('rsvp-form');
     if (!form) return;
 
@@ -254,55 +806,87 @@ function setupRsvpForm(guestInfo, code) {
     const confirmationInput = document.getElementById('rsvp-confirmation-input');
     const yesBtn = document.getElementById('rsvp-yes-btn');
     const noBtn = document.getElementById('rsvp-no-btn');
-    const spinner = document.getElementById('loading-spinner');
+    const retryBtn = document.getElementById('rsvp-retry-btn');
+    const changeBtn = document.getElementById('rsvp-change-btn');
 
-    if (!codeInput || !confirmationInput || !yesBtn || !noBtn || !spinner) return;
+    if (!codeInput || !confirmationInput || !yesBtn || !noBtn || !retryBtn) return;
 
     // The short invitation code from the URL is used to identify the guest in the Google Form.
+    form.action = invitationConfig.rsvp.formUrl;
+    codeInput.name = invitationConfig.rsvp.entries.code;
+    confirmationInput.name = invitationConfig.rsvp.entries.answer;
     codeInput.value = code;
 
-    const handleRsvpClick = (event) => {
-        // Prevent the default form submission to handle it manually.
-        event.preventDefault();
+    const attendeeOptions = getAttendeeOptions(guestInfo);
+    const guestCount = parseInt(guestInfo.Cantidad, 10) || attendeeOptions.length;
+    setupRsvpDetailFields(attendeeOptions);
+
+    // A change starts from the people who said they were coming.
+    const attending = parseGuestNames(guestInfo.Asistentes);
+    if (attending.length > 0) {
+        document.querySelectorAll('#rsvp-attendee-list input[type="checkbox"]').forEach(box => {
+            box.checked = attending.includes(box.value);
+        });
+    }
+
+    let isSubmitting = false;
+
+    const awaitConfirmation = async (answer, details) => {
+        showRsvpState('pending');
+        const isConfirmed = await waitForRsvpConfirmation(dataSource, code, { answer, details });
+        if (isConfirmed) {
+            savePendingRsvp(code, null);
+            showRsvpState(answer, true);
+            if (answer === 'Si' && details) showAttendeeSummary(details.attendees, guestCount);
+        } else {
+            showRsvpState('failed');
+        }
+        isSubmitting = false;
+        retryBtn.disabled = false;
+    };
 
-        // Set the confirmation value based on which button was clicked.
-        confirmationInput.value = event.currentTarget.value;
+    const submitAnswer = (answer, details = collectRsvpDetails(answer, attendeeOptions)) => {
+        // Ignore repeated clicks while an answer is already on its way.
+        if (isSubmitting || !details) return;
+        isSubmitting = true;
+        yesBtn.disabled = true;
+        noBtn.disabled = true;
+        retryBtn.disabled = true;
 
-        // Show the spinner.
-        spinner.style.display = 'flex';
-        setTimeout(() => {
-            spinner.style.opacity = '1';
-        }, 10); // Timeout allows the display property to apply before the transition starts.
+        confirmationInput.value = answer;
+        fillRsvpDetailInputs(details);
+        savePendingRsvp(code, { answer, details, submittedAt: Date.now() });
 
         // Submit the form to the hidden iframe.
         form.submit();
+        awaitConfirmation(answer, details);
+    };
 
-        // Wait 10 seconds, then reload the page to show the updated status.
-        setTimeout(() => {
-            const url = new URL(window.location);
-            url.searchParams.set('t', Date.now()); // Add cache-busting parameter
-            window.location.href = url.href;
-        }, 10000);
+    const handleRsvpClick = (event) => {
+        // Prevent the default form submission to handle it manually.
+        event.preventDefault();
+        submitAnswer(event.currentTarget.value);
     };
 
     yesBtn.addEventListener('click', handleRsvpClick);
     noBtn.addEventListener('click', handleRsvpClick);
-}
-
-/**
- * Updates the text content of elements to handle singular/plural forms based on a count.
- * @param {string} type The data attribute prefix (e.g., 'guest', 'event').
- * @param {number} count The number to check for pluralization.
- */
-function handlePlurals(type, count) {
-    const elements = document.querySelectorAll(`[data-${type}-singular]`);
-    if (!elements || elements.length === 0) return;
-
-    elements.forEach(element => {
-        const singularText = element.dataset[`${type}Singular`];
-        const pluralText = element.dataset[`${type}Plural`];
-        element.textContent = count === 1 ? singularText : pluralText;
+    retryBtn.addEventListener('click', () => {
+        const pending = loadPendingRsvp(code);
+        if (pending) submitAnswer(pending.answer, pending.details || undefined);
     });
+    changeBtn?.addEventListener('click', () => {
+        yesBtn.disabled = false;
+        noBtn.disabled = false;
+        document.getElementById('rsvp-attendee-summary')?.classList.add('hidden');
+        showRsvpState('form');
+    });
+
+    // An answer sent on a previous visit may still be on its way to the sheet.
+    const pending = loadPendingRsvp(code);
+    if (pending) {
+        isSubmitting = true;
+        awaitConfirmation(pending.answer, pending.details);
+    }
 }
 
 /**
@@ -311,185 +895,209 @@ function handlePlurals(type, count) {
  */
 function displayMessage(templateId) {
     const messageTemplate = document.getElementById(templateId);
-    const errorSection = document.querySelector('[data-section="no-code"]');
-    
-    if (messageTemplate && errorSection) {
-        const contentWrapper = errorSection.querySelector('.content-wrapper');
-        const messageContent = messageTemplate.content.cloneNode(true);
-        
-        contentWrapper.innerHTML = ''; // Clear previous content
-        contentWrapper.appendChild(messageContent);
-        errorSection.classList.remove('hidden');
-
-        // Also ensure the main portada is visible with the error.
-        const portada = document.querySelector('[data-section="portada"]');
-        if (portada) {
-            portada.classList.remove('hidden');
-        }
+    if (!messageTemplate) {
+        console.error(new MissingTemplateError(templateId));
+        return;
     }
-}
 
-/**
- * Safely decrypts a field, handling potential Base64 errors.
- * @param {string} data The encrypted data string.
- * @param {string} key The decryption key.
- * @returns {string|null} The decrypted string, or null if decryption fails.
- */
-function decryptField(data, key) {
-    if (typeof data !== 'string' || !data) {
-        return null;
+    // The page may have failed before any section was built.
+    if (!document.querySelector('[data-section="portada"]')) {
+        createSection('portada', 'portada-template', true);
     }
-    // Base64 strings shouldn't contain spaces, but URL encoding or copy-paste errors can introduce them.
-    const sanitizedData = data.trim().replace(/ /g, '+');
-    try {
-        // The atob function will throw an error if the string is not a valid base64 string.
-        return XXTEA.decryptFromBase64(sanitizedData, key);
-    } catch (e) {
-        // Log the error and the problematic data for debugging.
-        console.error(`Failed to decrypt data. Input: "${data}", Sanitized: "${sanitizedData}"`, e);
-        // Return a value that indicates failure but doesn't crash the app.
-        return null; 
+    const errorSection = document.querySelector('[data-section="no-code"]') || createSection('no-code', '', true);
+
+    const contentWrapper = errorSection.querySelector('.content-wrapper');
+    const messageContent = messageTemplate.content.cloneNode(true);
+    translateElement(messageContent);
+
+    contentWrapper.innerHTML = ''; // Clear previous content
+    contentWrapper.appendChild(messageContent);
+    errorSection.classList.remove('hidden');
+
+    // Also ensure the main portada is visible with the error.
+    const portada = document.querySelector('[data-section="portada"]');
+    if (portada) {
+        portada.classList.remove('hidden');
     }
 }
 
 /**
- * The core logic for processing guest data and building the dynamic sections of the invitation.
- * @param {string} code The invitation code from the URL.
- * @param {string} csvText The raw CSV string of guest data.
- * @param {string} eventCsvText The raw CSV string of event data.
+ * Creates a new section from a template and appends it to the page.
+ * @param {string} id The data-section ID for the new section.
+ * @param {string} templateId The ID of the template to use for the content, or '' for an empty section.
+ * @param {boolean} [isVcentered=false] Whether to vertically center the content.
+ * @returns {HTMLElement} The newly created section element.
+ * @throws {MissingTemplateError} If the page has no template with that ID.
  */
-async function processGuestData(code, csvText, eventCsvText) {
+function createSection(id, templateId, isVcentered = false) {
     const longCard = document.querySelector('.long-card');
     const sectionTemplate = document.getElementById('scroll-section-template');
-
-    /**
-     * Creates a new section from a template and appends it to the page.
-     * @param {string} id The data-section ID for the new section.
-     * @param {string} templateId The ID of the template to use for the content.
-     * @param {boolean} [isVcentered=false] Whether to vertically center the content.
-     * @returns {HTMLElement} The newly created section element.
-     */
-    function createSection(id, templateId, isVcentered = false) {
-        const section = sectionTemplate.content.cloneNode(true).firstElementChild;
-        section.dataset.section = id;
-        const contentWrapper = section.querySelector('.content-wrapper');
-        if(isVcentered) contentWrapper.classList.add('v-center');
-        
+    const section = sectionTemplate.content.cloneNode(true).firstElementChild;
+    section.dataset.section = id;
+    const contentWrapper = section.querySelector('.content-wrapper');
+    if(isVcentered) contentWrapper.classList.add('v-center');
+    
+    if (templateId) {
         const template = document.getElementById(templateId);
-        if (template) {
-            contentWrapper.appendChild(template.content.cloneNode(true));
-        }
-
-        longCard.appendChild(section);
-        return section;
+        if (!template) throw new MissingTemplateError(templateId);
+        contentWrapper.appendChild(template.content.cloneNode(true));
     }
+    fillConfigText(section);
+    translateElement(section);
+
+    longCard.appendChild(section);
+    return section;
+}
+
+/**
+ * Fills the elements with a `data-config` attribute with the matching text from the configuration.
+ * `data-config="date"` shows the configured date in the current locale.
+ * @param {ParentNode} root The element whose descendants are filled.
+ */
+function fillConfigText(root) {
+    root.querySelectorAll('[data-config]').forEach(element => {
+        const key = element.dataset.config;
+        const text = key === 'date' ? formatConfigDate(invitationConfig.date) : invitationConfig.text[key];
+        if (text !== undefined) element.textContent = text;
+    });
+}
 
+/**
+ * Formats a configured calendar day, e.g. '2025-11-21' as "21 de noviembre de 2025".
+ * @param {string} day The day as YYYY-MM-DD.
+ * @returns {string} The long date in the current locale.
+ */
+function formatConfigDate(day) {
+    // Noon UTC is the same calendar day in every time zone the guests may be in.
+    return new Date(`${day}T12:00:00Z`).toLocaleDateString(i18n.locale, { timeZone: 'UTC', year: 'numeric', month: 'long', day: 'numeric' });
+}
+
+/**
+ * Checks whether the guest is invited to a configured section: sections without a `flag`
+ * are for every guest, the others need "Si" in the guest sheet's flag column.
+ * @param {Object} section The section's configuration (see invitationConfig.sections).
+ * @param {Object} guestInfo The guest's row.
+ * @returns {boolean} True if the guest sees the section.
+ */
+function isInvitedTo(section, guestInfo) {
+    return !section.flag || guestInfo[section.flag]?.toLowerCase() === 'si';
+}
+
+/**
+ * Checks whether a configured section is already shown: sections with `opensOn` wait for that day.
+ * @param {Object} section The section's configuration (see invitationConfig.sections).
+ * @param {number} [now] The current time in milliseconds.
+ * @returns {boolean} True if the section is shown.
+ */
+function isSectionOpen(section, now = invitationClock.now()) {
+    return !section.opensOn || getConfigDay(now) >= section.opensOn;
+}
+
+/**
+ * The core logic for processing guest data and building the dynamic sections of the invitation.
+ * @param {string} code The invitation code from the URL.
+ * @param {Array<Object>} guestData The guest rows from the data source.
+ * @param {Array<Object>} eventData The event rows from the data source.
+ * @param {Object} dataSource The data source the rows came from, used to recheck RSVPs.
+ * @returns {Promise<Array<Object>>} The calendar entries of the events shown, sorted by start time.
+ */
+async function processGuestData(code, guestData, eventData, dataSource) {
+    let calendarEvents = [];
     try {
-        const guestData = parseCsv(csvText);
         let guestInfo = null;
 
         // Find the matching guest row by decrypting the code.
-        if (code) {
-            for (const guest of guestData) {
-                const decryptedCode = decryptField(guest.Codigo, code);
-                if (decryptedCode === code) {
-                    guestInfo = { ...guest, Nombre: decryptField(guest.Nombre, code), Invitados: decryptField(guest.Invitados, code) };
-                    break;
-                }
-            }
+        const guest = code ? await measureStage('find guest', () => findGuest(guestData, code)) : null;
+        if (code && !guest) throw new InvitationNotFoundError();
+        if (guest) {
+            const [nombre, invitados] = await Promise.all([decryptField(guest.Nombre, code, 'Nombre'), decryptField(guest.Invitados, code, 'Invitados')]);
+            // A row found by its lookup hash whose name does not open was encrypted with another code.
+            if (guest.Nombre && nombre === null) throw new DecryptError('Nombre');
+            guestInfo = { ...guest, Nombre: nombre, Invitados: invitados };
+            // The guest's row may name their language, unless the link asks for one with ?lang=.
+            chooseLocale(guestInfo[invitationConfig.localeColumn]);
         }
 
         // Always create the cover page.
         createSection('portada', 'portada-template', true);
 
         if (guestInfo) {
-            // Determine which sections to show based on guest data.
-            const isInvitedToReception = guestInfo.Recepcion?.toLowerCase() === 'si';
-            const sectionsToShow = {
-                invitacion: true,
-                civil: guestInfo.Civil?.toLowerCase() === 'si',
-                'civil-recepcion': guestInfo.Civil?.toLowerCase() === 'si', // Add this line
-                discurso: guestInfo.Discurso?.toLowerCase() === 'si',
-                fiesta: isInvitedToReception,
-                video: guestInfo.Video?.toLowerCase() === 'si',
-                rsvp: isInvitedToReception,
-                contratapa: true
-            };
-
-            if (sectionsToShow.invitacion) {
-                createSection('invitacion', 'invitacion-template');
-            }
+            // Build the sections the guest is invited to (and that are already shown), in the configured order.
+            const sections = invitationConfig.sections.filter(section => isInvitedTo(section, guestInfo) && isSectionOpen(section));
+            const eventList = sections.filter(section => section.label).map(section => t(section.label));
+            const guestCount = parseInt(guestInfo.Cantidad, 10) || 0;
+            // Set the counts first, so the sections are built with the right forms of address.
+            setPluralCount('guest', guestCount);
+            setPluralCount('event', eventList.length);
+
+            const eventKey = guestInfo.Eventos ? await decryptField(guestInfo.Eventos, code, 'Eventos') : null;
+            if (guestInfo.Eventos && eventKey === null) throw new DecryptError('Eventos');
+            calendarEvents = await measureStage('event details', () => processEventDetails(eventKey, sections, eventData));
 
             // Populate the dynamic fields in the invitation section.
             document.getElementById('group-name').textContent = `${guestInfo.Nombre}`;
-            const decryptedInvitados = guestInfo.Invitados || '';
-            const guestList = decryptedInvitados.split(',').map(name => name.trim()).filter(name => name);
+            const guestList = parseGuestNames(guestInfo.Invitados);
             if (guestList.length > 0) {
-                document.getElementById('guest-names').textContent = guestList.length === 1 ? guestList[0] : guestList.slice(0, -1).join(", ") + " y " + guestList.slice(-1);
+                document.getElementById('guest-names').textContent = formatList(guestList);
             } else {
                 const el = document.getElementById('guest-names');
                 if(el) el.parentElement.classList.add('hidden');
             }
-            const guestCount = parseInt(guestInfo.Cantidad, 10) || 0;
-            if (guestCount > 0) document.getElementById('guest-count').textContent = guestCount;
-            handlePlurals('guest', guestCount);
+            if (guestCount === 0) document.getElementById('guest-count')?.classList.add('hidden');
 
-            // Show the RSVP section only if the guest is invited to the reception.
-            if (sectionsToShow.rsvp) {
+            // Show the RSVP section only if the guest is invited to what the RSVP is for.
+            if (isInvitedTo({ flag: invitationConfig.rsvp.flag }, guestInfo)) {
                 const rsvpSection = document.querySelector('[data-section="invitacion"] [data-section="rsvp"]');
                 if (rsvpSection) {
                     rsvpSection.classList.remove('hidden');
                 }
             }
 
-            // Handle RSVP status display.
+            // Handle RSVP status display. Until the deadline, guests can answer and change their answer.
             const rsvpStatus = guestInfo.Confirmado;
-            if (rsvpStatus === 'Si') {
-                document.getElementById('rsvp-form').classList.add('hidden');
-                document.getElementById('rsvp-confirmed-message').classList.remove('hidden');
-            } else if (rsvpStatus === 'No') {
-                document.getElementById('rsvp-form').classList.add('hidden');
-                document.getElementById('rsvp-declined-message').classList.remove('hidden');
-            } else {
-                // If the guest has not yet RSVP'd, set up the form.
-                setupRsvpForm(guestInfo, code);
+            const deadline = getRsvpDeadline(guestInfo);
+            const isOpen = isRsvpOpen(deadline);
+            const isAnswered = rsvpStatus === 'Si' || rsvpStatus === 'No';
+            showRsvpDeadline(deadline);
+            if (isAnswered) {
+                // The sheet has the answer, so nothing is pending anymore, unless it is a change still on its way.
+                const pending = loadPendingRsvp(code);
+                if (pending && isRsvpInSheet(guestInfo, pending)) savePendingRsvp(code, null);
+                showRsvpState(rsvpStatus, isOpen);
+                // The sheet may pull the names sent in the form into an `Asistentes` column.
+                if (rsvpStatus === 'Si') showAttendeeSummary(parseGuestNames(guestInfo.Asistentes), guestCount);
+            } else if (!isOpen) {
+                showRsvpState('closed');
             }
+            if (isOpen) setupRsvpForm(guestInfo, code, dataSource);
 
-            // Build the list of events the guest is invited to.
-            const eventList = [];
-            if (sectionsToShow.civil) eventList.push("ceremonia civil");
-            if (sectionsToShow.discurso) eventList.push("discurso de bodas");
-            if (sectionsToShow.fiesta) eventList.push("recepción de bodas");
-            document.getElementById('event-list').textContent = eventList.length === 1 ? eventList[0] : eventList.slice(0, -1).join(", ") + " y " + eventList.slice(-1);
-            handlePlurals('event', eventList.length);
-
-            // Process and create the event-specific sections.
-            const encryptedEventKey = guestInfo.Eventos;
-            if (encryptedEventKey) {
-                const eventKey = decryptField(encryptedEventKey, code);
-                if (eventKey) {
-                    await processEventDetails(eventKey, sectionsToShow, eventCsvText, createSection);
-                }
-            }
-            
-            // Create the back cover page.
-            if (sectionsToShow.contratapa) {
-                createSection('contratapa', 'contratapa-template', true);
-            }
+            const guestbookSection = document.querySelector('.scroll-section[data-section="libro"]');
+            if (guestbookSection) setupGuestbook(guestbookSection, guestInfo, code, dataSource);
+
+            // Show the list of events the guest is invited to.
+            document.getElementById('event-list').textContent = formatList(eventList);
+
+            // Offer every event the guest is invited to as a single calendar file.
+            const invitationSection = document.querySelector('.scroll-section[data-section="invitacion"]');
+            calendarEvents.sort((a, b) => a.start - b.start);
+            if (invitationSection) setupCalendarLinks(invitationSection, calendarEvents, 'invitacion');
+
+            // Let the organizers know the invitation was opened, and what it showed.
+            trackInvitationOpen(code, dataSource, Array.from(document.querySelectorAll('.scroll-section'), section => section.dataset.section));
 
         } else {
-            // If no valid guest code is found, display the "no code" message.
+            // If the link has no invitation code, display the "no code" message.
             const noCodeSection = createSection('no-code', '', true);
             const messageTemplate = document.getElementById('no-code-message');
             if(messageTemplate) noCodeSection.querySelector('.content-wrapper').appendChild(messageTemplate.content.cloneNode(true));
+            translateElement(noCodeSection);
         }
 
     } catch (error) {
         console.error('Error processing guest data:', error);
-        // If there's a data processing error, show the data error message.
-        const errorSection = createSection('no-code', '', true);
-        const messageTemplate = document.getElementById(error.message.includes('fetch') ? 'connection-error-message' : 'data-error-message');
-        if(messageTemplate) errorSection.querySelector('.content-wrapper').appendChild(messageTemplate.content.cloneNode(true));
+        // Show the message for what went wrong (see getErrorMessageId).
+        recordError(error);
+        displayMessage(getErrorMessageId(error));
     } finally {
         // Hide the spinner and set up navigation once everything is done.
         const spinner = document.getElementById('loading-spinner');
@@ -499,81 +1107,120 @@ async function processGuestData(code, csvText, eventCsvText) {
         }
         setupNavigation();
     }
+    return calendarEvents;
+}
+
+/**
+ * Decrypts the name of each event row, so rows can be found by their `Evento` value.
+ * @param {string|null} eventKey The decrypted key for the event data.
+ * @param {Array<Object>} eventData The event rows from the data source.
+ * @returns {Promise<Map<string, Object>>} The (still encrypted) rows by event name; empty without a key.
+ */
+async function decryptEventRows(eventKey, eventData) {
+    const rows = new Map();
+    if (!eventKey) return rows;
+    if (!eventData) throw new Error('Event data is not available.');
+
+    for (const event of eventData) {
+        const eventName = await decryptField(event.Evento, eventKey);
+        if (eventName && !rows.has(eventName)) rows.set(eventName, event);
+    }
+    return rows;
 }
 
 /**
- * Processes the event data and creates the corresponding sections.
- * @param {string} eventKey The decrypted key for the event data.
- * @param {Object} sectionsToShow An object indicating which sections are visible.
- * @param {string} csvText The raw CSV string of event data.
- * @param {Function} createSection The function to create a new section.
+ * Creates the configured sections and fills the event sections from their event rows.
+ * @param {string|null} eventKey The decrypted key for the event data.
+ * @param {Array<Object>} sections The configured sections the guest is invited to, in page order.
+ * @param {Array<Object>} eventData The event rows from the data source.
+ * @returns {Promise<Array<Object>>} The calendar entries of the events that were shown (see populateEventSection).
  */
-async function processEventDetails(eventKey, sectionsToShow, csvText, createSection) {
+async function processEventDetails(eventKey, sections, eventData) {
+    const calendarEvents = [];
+    let eventRows = new Map();
     try {
-        if (!csvText) throw new Error('Event data is not available.');
-        const eventData = parseCsv(csvText);
-
-        // Find the video URL first, as it's needed for the 'discurso' section.
-        let videoUrl = '';
-        for (const event of eventData) {
-            if (decryptField(event.Evento, eventKey) === 'video') {
-                videoUrl = decryptField(event.Direccion, eventKey);
-                break;
-            }
+        eventRows = await decryptEventRows(eventKey, eventData);
+    } catch (error) {
+        console.error('Error fetching event details:', error);
+    }
+
+    for (const section of sections) {
+        const event = section.event ? eventRows.get(section.event) : null;
+        // Nested sections live inside their parent's template, e.g. 'civil-recepcion' in 'civil'.
+        const nested = section.parent
+            ? document.querySelector(`.scroll-section[data-section="${section.parent}"] [data-section="${section.id}"]`)
+            : null;
+
+        // An event section without its row has no date or place to show.
+        if (section.event && !event) {
+            if (nested) nested.remove();
+            continue;
         }
 
-        // Create sections for each event the guest is invited to.
-        for (const event of eventData) {
-            const eventName = decryptField(event.Evento, eventKey);
-            if (!eventName || eventName === 'video') continue;
-
-            // Special handling for civil-recepcion, which is inside the 'civil' section.
-            if (eventName === 'civil-recepcion') {
-                if (sectionsToShow[eventName]) {
-                    const civilSection = document.querySelector('.scroll-section[data-section="civil"]');
-                    const container = civilSection?.querySelector('[data-section="civil-recepcion"]');
-                    if (container) {
-                        populateEventSection(container, event, eventKey);
-                    }
-                }
-                continue; // Move to the next event.
-            }
+        const container = section.parent ? nested : createSection(section.id, section.template, section.centered);
+        if (!container) continue;
 
-            let sectionName = eventName;
-            if (eventName === 'recepcion') sectionName = 'fiesta';
-
-            if (sectionName && sectionsToShow[sectionName]) {
-                const section = createSection(sectionName, `${sectionName}-template`);
-                populateEventSection(section, event, eventKey);
-
-                // Special handling for the 'discurso' section to include the video.
-                if (sectionName === 'discurso') {
-                    const videoSection = section.querySelector('[data-section="video"]');
-                    if (videoUrl) {
-                        const iframe = videoSection.querySelector('iframe');
-                        iframe.src = videoUrl;
-                    } else {
-                        if (videoSection) videoSection.remove();
-                    }
-                }
+        try {
+            const calendarEvent = event ? await populateEventSection(container, event, eventKey, section.id) : null;
+            calendarEvents.push(calendarEvent);
+            if (section.video) {
+                await populateVideo(container, eventRows.get(section.video), eventKey, calendarEvent);
             }
+        } catch (error) {
+            console.error(`Error showing event "${section.id}":`, error);
         }
-    } catch (error) {
-        console.error('Error fetching event details:', error);
     }
+    return calendarEvents.filter(calendarEvent => calendarEvent);
+}
+
+/**
+ * Sets up the livestream of a section (see video.js), or removes its video block when there is
+ * no video or its link cannot be embedded.
+ * @param {HTMLElement} container The section element.
+ * @param {Object|undefined} event The event row whose `Direccion` is the live stream and whose
+ *     replay column (see invitationConfig.video) is the recording.
+ * @param {string} eventKey The decryption key.
+ * @param {Object|null} calendarEvent The section's calendar entry, which times the stream.
+ */
+async function populateVideo(container, event, eventKey, calendarEvent) {
+    const videoSection = container.querySelector('[data-section="video"]');
+    if (!videoSection) return;
+
+    const [liveUrl, replayUrl] = event
+        ? await Promise.all(['Direccion', invitationConfig.video.replayColumn].map(column => decryptField(event[column], eventKey, `video ${column}`)))
+        : [null, null];
+    const live = parseVideoUrl(liveUrl);
+    const replay = parseVideoUrl(replayUrl);
+    if (liveUrl && !live) console.error('Ignoring a video link that cannot be embedded:', liveUrl);
+    if (replayUrl && !replay) console.error('Ignoring a recording link that cannot be embedded:', replayUrl);
+    if (!live) {
+        videoSection.remove();
+        return;
+    }
+
+    setupVideoStream(videoSection, {
+        live,
+        replay,
+        start: calendarEvent?.start || null,
+        end: calendarEvent?.end || null
+    }, invitationClock.now());
 }
 
 /**
- * Populates the date, time, location, and map link for a given event section.
+ * Populates the date, time, location, map and directions links and calendar links for a given event section.
  * @param {HTMLElement} container The section element to populate.
  * @param {Object} event The event data object.
  * @param {string} eventKey The decryption key.
+ * @param {string} id The event's section name, e.g. 'civil' or 'fiesta'.
+ * @returns {Promise<Object|null>} The event's calendar entry (see buildCalendarEvent), or null if it has no valid date.
  */
-function populateEventSection(container, event, eventKey) {
-    const decryptedFechaStr = decryptField(event.Fecha, eventKey) || '';
-    const lugar = decryptField(event.Lugar, eventKey);
-    const direccion = decryptField(event.Direccion, eventKey);
-    const mapa = decryptField(event.Mapa, eventKey);
+async function populateEventSection(container, event, eventKey, id) {
+    const [fechaStr, lugar, direccion, mapa, zona, coordenadas, indicaciones] = await Promise.all(
+        ['Fecha', 'Lugar', 'Direccion', 'Mapa', 'Zona', 'Coordenadas', 'Indicaciones']
+            .map(column => decryptField(event[column], eventKey, `${id} ${column}`))
+    );
+    const decryptedFechaStr = fechaStr || '';
+    const timeZone = resolveEventTimeZone(zona, id);
 
     let fecha = '';
     let hora = '';
@@ -584,23 +1231,30 @@ function populateEventSection(container, event, eventKey) {
         timezoneSpan.classList.add('hidden'); // Hide by default
     }
 
+    let dateObj = null;
     if (decryptedFechaStr) {
-        const dateObj = new Date(decryptedFechaStr);
-        if (!isNaN(dateObj)) {
-            fecha = dateObj.toLocaleDateString('es-AR', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' });
-            hora = dateObj.toLocaleTimeString('es-AR', { hour: '2-digit', minute: '2-digit', hour12: false });
-
-            if (timezoneSpan) {
-                const userTimeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
-                const location = userTimeZone.split('/').pop().replace(/_/g, ' ');
-                timezoneSpan.textContent = ` (hora de ${location})`;
-
-                if (location.includes('Buenos Aires')) {
-                    timezoneSpan.classList.add('hidden');
-                } else {
-                    timezoneSpan.classList.remove('hidden');
-                }
-            }
+        try {
+            dateObj = parseEventDate(decryptedFechaStr, timeZone);
+        } catch (error) {
+            console.error(`Invalid date for event "${id}":`, error);
+            fecha = t('event.dateTbd');
+        }
+    }
+
+    if (dateObj) {
+        // Always show the time where the event takes place.
+        fecha = dateObj.toLocaleDateString(i18n.locale, { timeZone, weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' });
+        hora = dateObj.toLocaleTimeString(i18n.locale, { timeZone, hour: '2-digit', minute: '2-digit' });
+
+        // Guests in another zone also get their local time, with the date if it differs.
+        const localTimeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+        if (timezoneSpan && getTimeZoneOffset(dateObj, timeZone) !== getTimeZoneOffset(dateObj, localTimeZone)) {
+            const isSameDay = dateObj.toLocaleDateString(i18n.locale, { timeZone }) === dateObj.toLocaleDateString(i18n.locale);
+            const localTime = dateObj.toLocaleString(i18n.locale, isSameDay
+                ? { hour: '2-digit', minute: '2-digit' }
+                : { weekday: 'long', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+            timezoneSpan.textContent = ` ${t('event.localTime', { zone: timeZoneLabel(timeZone), time: localTime })}`;
+            timezoneSpan.classList.remove('hidden');
         }
     }
 
@@ -614,4 +1268,504 @@ function populateEventSection(container, event, eventKey) {
         mapLink.href = mapa;
         mapLink.classList.remove('hidden');
     }
+    const title = container.querySelector('h2, h3')?.textContent || id;
+    setupEventLocation(container, { title, lugar, direccion, coordenadas, indicaciones }, id);
+
+    if (!dateObj) return null;
+    const calendarEvent = buildCalendarEvent(id, title, dateObj, lugar, direccion, timeZone);
+    setupCalendarLinks(container, [calendarEvent], id);
+    return calendarEvent;
+}
+
+// ISO 8601 date and time, optionally with seconds, fractions and a UTC offset,
+// e.g. 2025-11-21T18:30, 2025-11-21 18:30:00 or 2025-11-21T18:30:00-03:00.
+const isoDateTimePattern = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/;
+
+/**
+ * Checks the time zone given for an event, falling back to the default zone if it is missing or unknown.
+ * @param {string|null} timeZone The IANA time zone from the event row, e.g. 'Europe/Madrid'.
+ * @param {string} id The event's section name, for the error message.
+ * @returns {string} A valid IANA time zone.
+ */
+function resolveEventTimeZone(timeZone, id) {
+    if (!timeZone) return invitationConfig.timeZone;
+    try {
+        new Intl.DateTimeFormat('es-AR', { timeZone: timeZone.trim() });
+        return timeZone.trim();
+    } catch (error) {
+        console.error(`Unknown time zone "${timeZone}" for event "${id}", using ${invitationConfig.timeZone}.`);
+        return invitationConfig.timeZone;
+    }
+}
+
+/**
+ * Returns how far a time zone is ahead of UTC at a given moment.
+ * @param {Date} date The moment to check, which matters for daylight saving time.
+ * @param {string} timeZone The IANA time zone.
+ * @returns {number} The offset in milliseconds (negative west of Greenwich).
+ */
+function getTimeZoneOffset(date, timeZone) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric', month: '2-digit', day: '2-digit',
+        hour: '2-digit', minute: '2-digit', second: '2-digit'
+    }).formatToParts(date).forEach(({ type, value }) => { parts[type] = Number(value); });
+    const wallTimeAsUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return wallTimeAsUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * Parses an event's `Fecha` as ISO 8601. A value without a UTC offset is read as
+ * the wall-clock time in the event's own time zone, never in the browser's.
+ * @param {string} value The decrypted `Fecha` cell.
+ * @param {string} timeZone The event's IANA time zone.
+ * @returns {Date} The moment the event starts.
+ * @throws {Error} If the value is not a valid ISO 8601 date and time.
+ */
+function parseEventDate(value, timeZone) {
+    const match = isoDateTimePattern.exec(value.trim());
+    if (!match) {
+        throw new Error(`"${value}" is not an ISO 8601 date and time, e.g. 2025-11-21T18:30 or 2025-11-21T18:30:00-03:00.`);
+    }
+
+    const [, year, month, day, hour, minute, second = '0', offset] = match;
+    const wallTime = Date.UTC(+year, +month - 1, +day, +hour, +minute, +second);
+    const check = new Date(wallTime);
+    if (check.getUTCMonth() !== +month - 1 || check.getUTCDate() !== +day || +hour > 23 || +minute > 59 || +second > 59) {
+        throw new Error(`"${value}" is not a valid date.`);
+    }
+
+    if (offset) {
+        if (offset === 'Z') return new Date(wallTime);
+        const sign = offset[0] === '-' ? -1 : 1;
+        const digits = offset.slice(1).replace(':', '');
+        return new Date(wallTime - sign * (+digits.slice(0, 2) * 60 + +digits.slice(2)) * 60000);
+    }
+
+    // Guess with the zone's offset at the wall time, then correct once in case DST changes in between.
+    let date = new Date(wallTime - getTimeZoneOffset(new Date(wallTime), timeZone));
+    date = new Date(wallTime - getTimeZoneOffset(date, timeZone));
+    return date;
+}
+
+/**
+ * Turns an IANA time zone into a short place name, e.g. 'America/Argentina/Buenos_Aires' into 'Buenos Aires'.
+ * @param {string} timeZone The IANA time zone.
+ * @returns {string} The place name.
+ */
+function timeZoneLabel(timeZone) {
+    return timeZone.split('/').pop().replace(/_/g, ' ');
+}
+
+/**
+ * Builds the calendar entry for an event.
+ * @param {string} id The event's section name.
+ * @param {string} title The event's title as shown on the page.
+ * @param {Date} start When the event starts.
+ * @param {string|null} lugar The venue name.
+ * @param {string|null} direccion The venue address.
+ * @param {string} timeZone The event's IANA time zone.
+ * @returns {{id: string, title: string, start: Date, end: Date, location: string, timeZone: string}} The calendar entry.
+ */
+function buildCalendarEvent(id, title, start, lugar, direccion, timeZone) {
+    const section = invitationConfig.sections.find(section => section.id === id);
+    const duration = section?.duration || invitationConfig.calendar.defaultDuration;
+    return {
+        id,
+        title: `${title.trim()} · ${document.title}`,
+        start,
+        end: new Date(start.getTime() + duration * 60000),
+        location: [lugar, direccion].filter(part => part).join(', '),
+        timeZone
+    };
+}
+
+/**
+ * Returns the link to this guest's invitation, without cache-busting or other transient parameters.
+ * @returns {string} The invitation URL.
+ */
+function getInvitationUrl() {
+    const url = new URL(window.location.href);
+    const code = url.searchParams.get('i');
+    url.search = '';
+    url.hash = '';
+    if (code) url.searchParams.set('i', code);
+    return url.href;
+}
+
+/**
+ * Formats a date as a UTC date-time for iCalendar and Google Calendar, e.g. 20251121T130000Z.
+ * @param {Date} date The date to format.
+ * @returns {string} The formatted date-time.
+ */
+function formatCalendarDate(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Formats a date as the wall-clock time in a time zone, for iCalendar's TZID dates, e.g. 20251121T183000.
+ * @param {Date} date The date to format.
+ * @param {string} timeZone The IANA time zone.
+ * @returns {string} The formatted local date-time.
+ */
+function formatCalendarLocalDate(date, timeZone) {
+    return formatCalendarDate(new Date(date.getTime() + getTimeZoneOffset(date, timeZone))).slice(0, -1);
+}
+
+/**
+ * Formats a UTC offset for iCalendar, e.g. -0300.
+ * @param {number} offset The offset in milliseconds, as from getTimeZoneOffset.
+ * @returns {string} The formatted offset.
+ */
+function formatIcsOffset(offset) {
+    const minutes = Math.round(Math.abs(offset) / 60000);
+    const hours = String(Math.floor(minutes / 60)).padStart(2, '0');
+    return `${offset < 0 ? '-' : '+'}${hours}${String(minutes % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Builds the VTIMEZONE component describing a time zone while the given events last
+ * (RFC 5545, section 3.6.5). Its observances are the zone's offset at the first event
+ * and each change of offset found up to the end of the last one, e.g. daylight saving time.
+ * @param {string} timeZone The IANA time zone.
+ * @param {Array<Object>} calendarEvents The calendar entries in that time zone.
+ * @returns {string[]} The component's content lines.
+ */
+function buildIcsTimeZone(timeZone, calendarEvents) {
+    const minute = 60000;
+    const offsetAt = minutes => getTimeZoneOffset(new Date(minutes * minute), timeZone);
+    const from = Math.floor(Math.min(...calendarEvents.map(calendarEvent => calendarEvent.start.getTime())) / minute);
+    const to = Math.ceil(Math.max(...calendarEvents.map(calendarEvent => calendarEvent.end.getTime())) / minute);
+
+    const observances = [{ onset: from, offsetFrom: offsetAt(from), offset: offsetAt(from) }];
+    // Offsets change at most a few times a year, so a week at a time finds every change.
+    for (let checked = from; checked < to;) {
+        const next = Math.min(checked + 7 * 24 * 60, to);
+        const current = observances[observances.length - 1].offset;
+        if (offsetAt(next) === current) {
+            checked = next;
+            continue;
+        }
+        // Narrow the change down to the minute it takes effect.
+        let before = checked;
+        let after = next;
+        while (after - before > 1) {
+            const middle = Math.floor((before + after) / 2);
+            if (offsetAt(middle) === current) before = middle;
+            else after = middle;
+        }
+        observances.push({ onset: after, offsetFrom: current, offset: offsetAt(after) });
+        checked = after;
+    }
+
+    // Offsets above the zone's smallest of the year are daylight saving time.
+    const year = new Date(from * minute).getUTCFullYear();
+    const standardOffset = Math.min(
+        getTimeZoneOffset(new Date(Date.UTC(year, 0, 1)), timeZone),
+        getTimeZoneOffset(new Date(Date.UTC(year, 6, 1)), timeZone)
+    );
+    const lines = ['BEGIN:VTIMEZONE', `TZID:${timeZone}`];
+    observances.forEach(({ onset, offsetFrom, offset }) => {
+        const kind = offset > standardOffset ? 'DAYLIGHT' : 'STANDARD';
+        lines.push(
+            `BEGIN:${kind}`,
+            // An observance starts at a local time in the offset it replaces.
+            `DTSTART:${formatCalendarDate(new Date(onset * minute + offsetFrom)).slice(0, -1)}`,
+            `TZOFFSETFROM:${formatIcsOffset(offsetFrom)}`,
+            `TZOFFSETTO:${formatIcsOffset(offset)}`,
+            `END:${kind}`
+        );
+    });
+    lines.push('END:VTIMEZONE');
+    return lines;
+}
+
+/**
+ * Escapes a text value for an iCalendar property (RFC 5545, section 3.3.11).
+ * @param {string} text The text to escape.
+ * @returns {string} The escaped text.
+ */
+function escapeIcsText(text) {
+    return String(text).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Folds an iCalendar content line so that no line is longer than 75 octets (RFC 5545, section 3.1).
+ * @param {string} line The unfolded content line.
+ * @returns {string} The folded line, using CRLF followed by a space as the continuation.
+ */
+function foldIcsLine(line) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    let current = '';
+    let currentLength = 0;
+    for (const char of line) {
+        const charLength = encoder.encode(char).length;
+        // Continuation lines start with a space, which counts towards their 75 octets.
+        const limit = parts.length === 0 ? 75 : 74;
+        if (currentLength + charLength > limit) {
+            parts.push(current);
+            current = '';
+            currentLength = 0;
+        }
+        current += char;
+        currentLength += charLength;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+}
+
+/**
+ * Builds an iCalendar (.ics) file with the given events. Their times are written as the
+ * wall-clock time in each event's time zone, with a VTIMEZONE for each zone, so calendars
+ * keep the event at its local time and show that zone.
+ * @param {Array<Object>} calendarEvents The calendar entries from buildCalendarEvent.
+ * @param {string} url The link back to the invitation.
+ * @returns {string} The contents of the .ics file.
+ */
+function buildIcsCalendar(calendarEvents, url) {
+    const stamp = formatCalendarDate(new Date());
+    const host = window.location.hostname || 'invitacion';
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//abelbour//Invitacion//ES',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH'
+    ];
+    const timeZones = [...new Set(calendarEvents.map(calendarEvent => calendarEvent.timeZone))];
+    timeZones.forEach(timeZone => {
+        lines.push(...buildIcsTimeZone(timeZone, calendarEvents.filter(calendarEvent => calendarEvent.timeZone === timeZone)));
+    });
+    calendarEvents.forEach(calendarEvent => {
+        // The UID only depends on the event, so importing it again updates the existing entry.
+        lines.push(
+            'BEGIN:VEVENT',
+            `UID:${calendarEvent.id}-${formatCalendarDate(calendarEvent.start)}@${host}`,
+            `DTSTAMP:${stamp}`,
+            `DTSTART;TZID=${calendarEvent.timeZone}:${formatCalendarLocalDate(calendarEvent.start, calendarEvent.timeZone)}`,
+            `DTEND;TZID=${calendarEvent.timeZone}:${formatCalendarLocalDate(calendarEvent.end, calendarEvent.timeZone)}`,
+            `SUMMARY:${escapeIcsText(calendarEvent.title)}`,
+            `LOCATION:${escapeIcsText(calendarEvent.location)}`,
+            `DESCRIPTION:${escapeIcsText(t('calendar.description', { url }))}`,
+            `URL:${url}`,
+            'END:VEVENT'
+        );
+    });
+    lines.push('END:VCALENDAR');
+    return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Builds a link that opens Google Calendar with the event filled in.
+ * @param {Object} calendarEvent The calendar entry from buildCalendarEvent.
+ * @param {string} url The link back to the invitation.
+ * @returns {string} The Google Calendar URL.
+ */
+function buildGoogleCalendarUrl(calendarEvent, url) {
+    const params = new URLSearchParams({
+        action: 'TEMPLATE',
+        text: calendarEvent.title,
+        dates: `${formatCalendarDate(calendarEvent.start)}/${formatCalendarDate(calendarEvent.end)}`,
+        location: calendarEvent.location,
+        details: t('calendar.description', { url })
+    });
+    return `https://calendar.google.com/calendar/render?${params}`;
+}
+
+/**
+ * Offers an .ics file for download.
+ * @param {string} contents The contents of the file.
+ * @param {string} fileName The suggested file name.
+ */
+function downloadIcsFile(contents, fileName) {
+    const blob = new Blob([contents], { type: 'text/calendar;charset=utf-8' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+}
+
+/**
+ * Wires up the calendar buttons inside a container: the .ics download and,
+ * for a single event, the Google Calendar link.
+ * @param {HTMLElement} container The element holding the `.calendar-links` block.
+ * @param {Array<Object>} calendarEvents The calendar entries to offer.
+ * @param {string} fileName The .ics file name, without extension.
+ */
+function setupCalendarLinks(container, calendarEvents, fileName) {
+    const links = container.querySelector('.calendar-links');
+    if (!links || calendarEvents.length === 0) return;
+
+    const url = getInvitationUrl();
+    links.querySelector('.add-to-calendar')?.addEventListener('click', () => {
+        downloadIcsFile(buildIcsCalendar(calendarEvents, url), `${fileName}.ics`);
+    });
+
+    const googleLink = links.querySelector('.google-calendar');
+    if (googleLink) {
+        if (calendarEvents.length === 1) {
+            googleLink.href = buildGoogleCalendarUrl(calendarEvents[0], url);
+        } else {
+            googleLink.remove();
+        }
+    }
+    links.classList.remove('hidden');
+}
+
+/**
+ * The clock the countdown and the event-day mode run on. Tests can replace `now`,
+ * and `?now=2025-11-21T18:00` starts the page's clock at that moment (in the default event zone).
+ */
+const invitationClock = {
+    now: () => Date.now()
+};
+
+/**
+ * Applies `?now=` to the page's clock, before anything (the RSVP deadline, the countdown) reads it.
+ */
+function setupInvitationClock() {
+    const startAt = new URLSearchParams(window.location.search).get('now');
+    if (!startAt) return;
+    try {
+        const offset = parseEventDate(startAt, invitationConfig.timeZone).getTime() - Date.now();
+        invitationClock.now = () => Date.now() + offset;
+    } catch (error) {
+        console.warn('Ignoring ?now=:', error.message);
+    }
+}
+
+/**
+ * Works out where the guest is in the schedule.
+ * @param {Array<Object>} calendarEvents The calendar entries of the guest's events.
+ * @param {number} now The current time in milliseconds.
+ * @returns {{state: string, current: Object|null, next: Object|null}} The state is 'none' without
+ *     events, 'before' ahead of the first event day, 'live' on an event day or during an event,
+ *     and 'after' once the last event has ended. `current` is the event under way, `next` the next one to start.
+ */
+function getEventTimeline(calendarEvents, now) {
+    const events = [...calendarEvents].sort((a, b) => a.start - b.start);
+    if (events.length === 0) return { state: 'none', current: null, next: null };
+
+    const current = events.filter(event => event.start.getTime() <= now && now < event.end.getTime()).pop() || null;
+    const next = events.find(event => event.start.getTime() > now) || null;
+    if (!current && !next) return { state: 'after', current, next };
+
+    const isEventDay = current !== null || isSameDayInTimeZone(next.start, new Date(now), next.timeZone);
+    return { state: isEventDay ? 'live' : 'before', current, next };
+}
+
+/**
+ * Checks whether two moments fall on the same calendar day in a time zone.
+ * @param {Date} a The first moment.
+ * @param {Date} b The second moment.
+ * @param {string} timeZone The IANA time zone.
+ * @returns {boolean} True if both are on the same day there.
+ */
+function isSameDayInTimeZone(a, b, timeZone) {
+    const format = new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' });
+    return format.format(a) === format.format(b);
+}
+
+/**
+ * Describes the time left until an event, e.g. "Faltan 12 días, 3 horas y 5 minutos".
+ * @param {number} milliseconds The time left.
+ * @param {string} [messageKey='countdown.left'] The message the amounts go into, as {parts}.
+ * @returns {string} The countdown text.
+ */
+function formatCountdown(milliseconds, messageKey = 'countdown.left') {
+    const totalMinutes = Math.floor(milliseconds / 60000);
+    const days = Math.floor(totalMinutes / 1440);
+    const hours = Math.floor((totalMinutes % 1440) / 60);
+    const minutes = totalMinutes % 60;
+
+    if (totalMinutes < 1) return t('countdown.soon');
+
+    const parts = [];
+    if (days > 0) parts.push(t('countdown.days', { count: days }));
+    if (hours > 0) parts.push(t('countdown.hours', { count: hours }));
+    // Minutes only matter once the event is close.
+    if (minutes > 0 && days === 0) parts.push(t('countdown.minutes', { count: minutes }));
+
+    // Spanish agrees the verb with the first amount: "Falta 1 día", "Faltan 2 días".
+    return t(messageKey, { count: days || hours || minutes, parts: formatList(parts) });
+}
+
+/**
+ * Scrolls the card to the page holding the given section, e.g. 'civil-recepcion' opens 'civil'.
+ * @param {string} id The data-section name.
+ * @param {string} [behavior='auto'] The scroll behavior.
+ */
+function scrollToSectionId(id, behavior = 'auto') {
+    const container = document.querySelector('.scroll-container');
+    const target = document.querySelector(`[data-section="${id}"]`)?.closest('.scroll-section');
+    const sections = Array.from(document.querySelectorAll('.scroll-section'));
+    const index = sections.indexOf(target);
+    if (!container || index < 0) return;
+    container.scrollTo({ left: index * target.offsetWidth, behavior: getScrollBehavior(behavior) });
+}
+
+/**
+ * Updates the countdown, the "ahora"/"próximo" badges and the thank-you message for the current time.
+ * @param {Array<Object>} calendarEvents The calendar entries of the guest's events.
+ * @param {number} now The current time in milliseconds.
+ * @returns {{state: string, current: Object|null, next: Object|null}} The timeline that was shown.
+ */
+function renderEventTimeline(calendarEvents, now) {
+    const timeline = getEventTimeline(calendarEvents, now);
+
+    const countdown = document.querySelector('[data-section="portada"] .countdown');
+    if (countdown) {
+        const showCountdown = timeline.next !== null && timeline.current === null;
+        countdown.textContent = showCountdown ? formatCountdown(timeline.next.start.getTime() - now) : '';
+        countdown.classList.toggle('hidden', !showCountdown);
+    }
+
+    // Badges are only shown on an event day.
+    document.querySelectorAll('.event-badge').forEach(badge => badge.remove());
+    if (timeline.state === 'live') {
+        const badgeTemplate = document.getElementById('event-badge-template');
+        const addBadge = (event, label, className) => {
+            const container = document.querySelector(`[data-section="${event.id}"]`);
+            const heading = container?.querySelector('h2, h3');
+            if (!badgeTemplate || !heading) return;
+            const badge = badgeTemplate.content.cloneNode(true).firstElementChild;
+            badge.textContent = label;
+            badge.classList.add(className);
+            heading.before(badge);
+        };
+        if (timeline.current) addBadge(timeline.current, t('event.now'), 'now');
+        if (timeline.next) addBadge(timeline.next, t('event.next'), 'next');
+    }
+
+    const thanks = document.querySelector('[data-section="contratapa"] .thanks');
+    if (thanks) thanks.classList.toggle('hidden', timeline.state !== 'after');
+
+    renderVideoStreams(now);
+
+    return timeline;
+}
+
+/**
+ * Starts the countdown and event-day mode once the page is built. On an event day the page
+ * opens on the ongoing or next event, and after the last event on the thank-you message.
+ * @param {Array<Object>} calendarEvents The calendar entries of the guest's events.
+ */
+function startEventTimeline(calendarEvents) {
+    if (calendarEvents.length === 0) return;
+
+    const timeline = renderEventTimeline(calendarEvents, invitationClock.now());
+    if (timeline.state === 'live') {
+        scrollToSectionId((timeline.current || timeline.next).id);
+    } else if (timeline.state === 'after') {
+        scrollToSectionId('contratapa');
+    }
+
+    // Keep the countdown and badges current while the page stays open.
+    setInterval(() => renderEventTimeline(calendarEvents, invitationClock.now()), 30000);
 }
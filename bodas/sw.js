@@ -0,0 +1,207 @@
+/**
+ * --------------------------------------------------------------------
+ * Service Worker
+ * --------------------------------------------------------------------
+ * Keeps the invitation usable with a bad connection, e.g. at the venue.
+ * 1. It precaches the page, its scripts, styles and line art on install.
+ * 2. It serves guest and event data network-first and keeps the last good
+ *    response of each sheet, falling back to it when the network fails.
+ * 3. Responses served from that fallback carry the DATA_CACHE_HEADER header
+ *    so the page can tell the guest that the data may be outdated.
+ * --------------------------------------------------------------------
+ */
+
+// Bump this version whenever a precached file changes, so old shells are dropped.
+const SHELL_CACHE = 'bodas-shell-v25';
+// The data cache is not versioned: the last good sheets stay useful across releases.
+const DATA_CACHE = 'bodas-data';
+const RUNTIME_CACHE = 'bodas-runtime-v1';
+
+// Must match the header checked in data.js.
+const DATA_CACHE_HEADER = 'X-Served-From-Cache';
+
+// How long to wait for the network before falling back to cached data.
+const DATA_NETWORK_TIMEOUT = 8000;
+
+const PRECACHE_URLS = [
+    './',
+    'index.html',
+    'style.css',
+    'print.css',
+    'config.js',
+    'i18n.js',
+    'locales/es.js',
+    'locales/en.js',
+    'locales/pt.js',
+    'crypto.js',
+    'data.js',
+    'qrcode.js',
+    'video.js',
+    'location.js',
+    'guestbook.js',
+    'tracking.js',
+    'diagnostics.js',
+    'script.js',
+    'xxtea.min.js',
+    'images/civil-line.webp',
+    'images/contratapa-line.webp',
+    'images/discurso-line.webp',
+    'images/fiesta-line.webp',
+    'images/invitacion-line.webp',
+    'images/paper.webp',
+    'images/portada-line.webp'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(PRECACHE_URLS))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    const keep = [SHELL_CACHE, DATA_CACHE, RUNTIME_CACHE];
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(names.filter(name => !keep.includes(name)).map(name => caches.delete(name))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    if (isDataRequest(url)) {
+        event.respondWith(fetchData(request, url));
+    } else if (url.origin === self.location.origin) {
+        event.respondWith(url.pathname.includes('/images/') ? cacheFirst(request, SHELL_CACHE) : networkFirst(request));
+    } else if (url.hostname === 'fonts.googleapis.com' || url.hostname === 'fonts.gstatic.com') {
+        event.respondWith(cacheFirst(request, RUNTIME_CACHE));
+    }
+});
+
+/**
+ * Checks whether a request is for guest or event data: a published Google Sheet or a local data file.
+ * @param {URL} url The request URL.
+ * @returns {boolean} True for data requests.
+ */
+function isDataRequest(url) {
+    if (url.hostname === 'docs.google.com') {
+        return url.pathname.includes('/spreadsheets/') && url.searchParams.get('output') === 'csv';
+    }
+    return url.origin === self.location.origin && /\/data\/[^/]+\.(csv|json)$/.test(url.pathname);
+}
+
+/**
+ * Builds the cache key for a data request, dropping the cache-busting `_` parameter.
+ * @param {URL} url The request URL.
+ * @returns {string} The cache key.
+ */
+function dataCacheKey(url) {
+    const key = new URL(url.href);
+    key.searchParams.delete('_');
+    return key.href;
+}
+
+/**
+ * Fetches data from the network, storing every good response. When the network fails
+ * or takes too long, the last good response is served instead, marked with DATA_CACHE_HEADER.
+ * @param {Request} request The original request.
+ * @param {URL} url The request URL.
+ * @returns {Promise<Response>} The network or cached response.
+ */
+async function fetchData(request, url) {
+    const cache = await caches.open(DATA_CACHE);
+    const key = dataCacheKey(url);
+
+    let response;
+    try {
+        response = await withTimeout(fetch(request), DATA_NETWORK_TIMEOUT);
+    } catch (error) {
+        return (await matchCachedData(cache, key)) || Promise.reject(error);
+    }
+
+    if (!response.ok) {
+        return (await matchCachedData(cache, key)) || response;
+    }
+
+    const headers = new Headers(response.headers);
+    headers.set('X-Cached-At', new Date().toISOString());
+    const body = await response.clone().blob();
+    await cache.put(key, new Response(body, { status: response.status, statusText: response.statusText, headers }));
+    return response;
+}
+
+/**
+ * Looks up the last good copy of a data file and marks it with DATA_CACHE_HEADER.
+ * @param {Cache} cache The data cache.
+ * @param {string} key The cache key from dataCacheKey.
+ * @returns {Promise<Response|undefined>} The marked response, or undefined if nothing was saved.
+ */
+async function matchCachedData(cache, key) {
+    const cached = await cache.match(key);
+    if (!cached) return undefined;
+
+    const headers = new Headers(cached.headers);
+    headers.set(DATA_CACHE_HEADER, cached.headers.get('X-Cached-At') || 'unknown');
+    return new Response(await cached.blob(), { status: cached.status, statusText: cached.statusText, headers });
+}
+
+/**
+ * Serves page assets from the network, falling back to the precache when offline.
+ * The query string is ignored on fallback, so `script.js?v=9` matches the precached `script.js`.
+ * @param {Request} request The request.
+ * @returns {Promise<Response>} The network or cached response.
+ */
+async function networkFirst(request) {
+    try {
+        return await fetch(request);
+    } catch (error) {
+        const cached = await caches.match(request, { ignoreSearch: true });
+        if (cached) return cached;
+        // Navigations to ?i=CODE#section all share the precached page.
+        if (request.mode === 'navigate') {
+            const page = await caches.match('index.html');
+            if (page) return page;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Serves a request from the cache, fetching and storing it on a miss.
+ * @param {Request} request The request.
+ * @param {string} cacheName The cache to use.
+ * @returns {Promise<Response>} The cached or network response.
+ */
+async function cacheFirst(request, cacheName) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (response.ok || response.type === 'opaque') {
+        await cache.put(request, response.clone());
+    }
+    return response;
+}
+
+/**
+ * Rejects if the promise does not settle within the given time.
+ * @param {Promise} promise The promise to wait for.
+ * @param {number} ms The time limit in milliseconds.
+ * @returns {Promise} The original promise's result.
+ */
+function withTimeout(promise, ms) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error(`Timed out after ${ms} ms.`)), ms);
+        promise.then(
+            value => { clearTimeout(timer); resolve(value); },
+            error => { clearTimeout(timer); reject(error); }
+        );
+    });
+}
@@ -0,0 +1,120 @@
+/**********************************************************\
+|                                                          |
+| tracking.gs                                              |
+|                                                          |
+| Open tracking: logs the "abierta" pings sent by          |
+| tracking.js and copies when each group first opened its  |
+| invitation into the guest sheet for the organizer page.  |
+|                                                          |
+\**********************************************************/
+'use strict';
+/*
+ * Setup, in the Apps Script project of the guest spreadsheet that has xxtea.gs,
+ * common.gs and guestbook.gs (whose doPost also receives the pings):
+ * 1. Add a sheet named as OPEN_LOG_SHEET with the header row
+ *    Fecha, Codigo, Evento, Abierta, Idioma, Secciones.
+ * 2. Add the columns FIRST_OPEN_COLUMN and LATEST_DEVICE_COLUMN to the guest sheet.
+ * 3. Deploy the project as a web app (see guestbook.gs) and put its /exec URL
+ *    in invitationConfig.tracking.url (config.js).
+ * 4. Add a time-driven trigger that runs UPDATE_OPENS, e.g. every hour.
+ * Without the web app, a Google Form works too: short answer questions titled
+ * Codigo, Evento, Abierta, Idioma and Secciones, their entry IDs in
+ * invitationConfig.tracking.entries, and its responses sheet renamed to OPEN_LOG_SHEET.
+ * Either way the first column holds when the ping arrived, which is what
+ * UPDATE_OPENS goes by, since the guest's clock may be wrong.
+ * A device sends a code's ping only once, so the log has one row per code and
+ * device, not per visit: the latest row of a code is when it was first opened
+ * on the newest device, not when it was last looked at.
+ */
+
+var OPEN_LOG_SHEET = 'Aperturas';
+var OPEN_CODE_COLUMN = 'Codigo';
+// Must match invitationConfig.tracking.firstOpenColumn and .latestDeviceColumn.
+var FIRST_OPEN_COLUMN = 'PrimeraApertura';
+var LATEST_DEVICE_COLUMN = 'UltimoDispositivo';
+var OPEN_DATE_FORMAT = 'yyyy-MM-dd HH:mm';
+var MAX_SECTIONS_LENGTH = 500;
+
+/**
+ * Logs an "abierta" ping. Called by doPost in guestbook.gs for requests with an event parameter.
+ *
+ * @param {Object} params The parameters code, event, openedAt, locale and sections.
+ * @return {TextOutput} "OK", or "ERROR: ..." if the ping was not logged.
+ */
+function recordOpen(params) {
+  var code = String(params.code || '').trim();
+  var event = String(params.event || '').trim();
+
+  if (event !== 'abierta') return textOutput('ERROR: Unknown event.');
+  if (!isInvitationCode(code)) return textOutput('ERROR: Unknown invitation code.');
+
+  var lock = LockService.getScriptLock();
+  lock.waitLock(30000);
+  try {
+    var sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(OPEN_LOG_SHEET);
+    sheet.appendRow([
+      new Date(),
+      code,
+      event,
+      asText(String(params.openedAt || '')),
+      asText(String(params.locale || '')),
+      asText(String(params.sections || '').slice(0, MAX_SECTIONS_LENGTH))
+    ]);
+    return textOutput('OK');
+  } catch (err) {
+    return textOutput('ERROR: ' + err.message);
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Copies the first open of each code, and its first open on the newest device,
+ * from the log into the guest sheet.
+ * Meant for a time-driven trigger; it rewrites both columns on every run.
+ */
+function UPDATE_OPENS() {
+  var spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  var timeZone = spreadsheet.getSpreadsheetTimeZone();
+
+  // The guest sheet only has the codes' lookup hashes, so the opens are keyed by hash.
+  var opens = {};
+  var log = spreadsheet.getSheetByName(OPEN_LOG_SHEET).getDataRange().getValues();
+  var codeColumn = log[0].indexOf(OPEN_CODE_COLUMN);
+  if (codeColumn < 0) throw new Error('The open log has no ' + OPEN_CODE_COLUMN + ' column.');
+  for (var i = 1; i < log.length; i++) {
+    var code = String(log[i][codeColumn]).trim();
+    var date = log[i][0];
+    if (!code || !(date instanceof Date)) continue;
+    var hash = LOOKUP_HASH(code, LOOKUP_KEY);
+    var open = opens[hash];
+    if (!open) {
+      opens[hash] = { first: date, latest: date };
+    } else {
+      if (date < open.first) open.first = date;
+      if (date > open.latest) open.latest = date;
+    }
+  }
+
+  var sheet = spreadsheet.getSheetByName(GUEST_SHEET);
+  var rows = sheet.getDataRange().getDisplayValues();
+  var header = rows[0];
+  var lookupColumn = header.indexOf(LOOKUP_COLUMN);
+  var firstColumn = header.indexOf(FIRST_OPEN_COLUMN);
+  var latestColumn = header.indexOf(LATEST_DEVICE_COLUMN);
+  if (lookupColumn < 0 || firstColumn < 0 || latestColumn < 0) {
+    throw new Error('The guest sheet needs the columns ' + [LOOKUP_COLUMN, FIRST_OPEN_COLUMN, LATEST_DEVICE_COLUMN].join(', ') + '.');
+  }
+  if (rows.length < 2) return;
+
+  var firsts = [];
+  var latests = [];
+  for (var j = 1; j < rows.length; j++) {
+    var rowOpen = opens[rows[j][lookupColumn]];
+    firsts.push([rowOpen ? Utilities.formatDate(rowOpen.first, timeZone, OPEN_DATE_FORMAT) : '']);
+    latests.push([rowOpen ? Utilities.formatDate(rowOpen.latest, timeZone, OPEN_DATE_FORMAT) : '']);
+  }
+  // As plain text, so the published CSV has the same format whatever the sheet's locale.
+  sheet.getRange(2, firstColumn + 1, firsts.length, 1).setNumberFormat('@').setValues(firsts);
+  sheet.getRange(2, latestColumn + 1, latests.length, 1).setNumberFormat('@').setValues(latests);
+}
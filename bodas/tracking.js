@@ -0,0 +1,84 @@
+/**
+ * --------------------------------------------------------------------
+ * Open Tracking
+ * --------------------------------------------------------------------
+ * Lets the organizers know which groups opened their invitation.
+ * 1. The first time an invitation is opened on a device, an "abierta"
+ *    ping with the code, the time, the language and the sections shown
+ *    goes to invitationConfig.tracking.url with navigator.sendBeacon.
+ *    localStorage remembers it, so each code is only sent once per device.
+ * 2. Nothing is sent with ?preview=1, from the preview data sources, or
+ *    from a browser where the organizer or generator page has been used.
+ * UPDATE_OPENS in tracking.gs copies each code's first open, and its first
+ * open on the newest device, from the log into the guest sheet, where the
+ * organizer page reads them. There is no last visit: a device only reports once.
+ * --------------------------------------------------------------------
+ */
+
+// Set by the organizer and generator pages, so the organizers' own visits are not counted.
+const ORGANIZER_BROWSER_KEY = 'organizer-browser';
+
+/**
+ * Returns the localStorage key remembering that an invitation was reported as opened.
+ * @param {string} code The short invitation code.
+ * @returns {string} The localStorage key.
+ */
+function openedKey(code) {
+    return `opened:${code}`;
+}
+
+/**
+ * Marks this browser as the organizers', so invitations opened in it are not reported.
+ */
+function markOrganizerBrowser() {
+    try {
+        localStorage.setItem(ORGANIZER_BROWSER_KEY, '1');
+    } catch (e) {
+        console.warn('Could not mark the organizer browser:', e);
+    }
+}
+
+/**
+ * Checks whether opening this invitation should be reported.
+ * @param {string} code The short invitation code.
+ * @param {Object} dataSource The data source the invitation was built from.
+ * @param {URLSearchParams} [params] The page's query parameters.
+ * @returns {boolean} True if tracking is configured and this is a guest's first visit on this device.
+ */
+function shouldTrackOpen(code, dataSource, params = new URLSearchParams(window.location.search)) {
+    if (!code || !invitationConfig.tracking.url || !navigator.sendBeacon) return false;
+    if (params.get('preview') === '1' || dataSource.name !== 'sheets') return false;
+    try {
+        return !localStorage.getItem(ORGANIZER_BROWSER_KEY) && !localStorage.getItem(openedKey(code));
+    } catch (e) {
+        // Without storage every visit would be reported; better to report none.
+        return false;
+    }
+}
+
+/**
+ * Reports the first time an invitation is opened on this device.
+ * @param {string} code The short invitation code.
+ * @param {Object} dataSource The data source the invitation was built from.
+ * @param {string[]} sections The data-section names of the sections shown.
+ */
+function trackInvitationOpen(code, dataSource, sections) {
+    if (!shouldTrackOpen(code, dataSource)) return;
+
+    const { url, entries } = invitationConfig.tracking;
+    const openedAt = new Date().toISOString();
+    const body = new URLSearchParams({
+        [entries.code]: code,
+        [entries.event]: 'abierta',
+        [entries.openedAt]: openedAt,
+        [entries.locale]: i18n.locale,
+        [entries.sections]: sections.join(',')
+    });
+    // sendBeacon only says whether the ping was queued; if it was not, the next visit tries again.
+    if (!navigator.sendBeacon(url, body)) return;
+    try {
+        localStorage.setItem(openedKey(code), openedAt);
+    } catch (e) {
+        console.warn('Could not remember the opened invitation:', e);
+    }
+}
@@ -0,0 +1,189 @@
+/**
+ * --------------------------------------------------------------------
+ * Livestream
+ * --------------------------------------------------------------------
+ * The video block of a section (see `video` in invitationConfig.sections).
+ * 1. parseVideoUrl turns a YouTube or Vimeo link, or an https page on one
+ *    of invitationConfig.video.embedHosts, into the URL to embed and the
+ *    URL to open in a new tab. Anything else is rejected.
+ * 2. Each block goes through three phases around its event: before it, a
+ *    countdown to the stream; while it lasts, the live embed; after it,
+ *    the recording, or a note that the stream has ended.
+ * renderVideoStreams is called with the page's clock (see invitationClock
+ * in script.js) to move the blocks from one phase to the next.
+ * --------------------------------------------------------------------
+ */
+
+const YOUTUBE_HOSTS = ['youtube.com', 'www.youtube.com', 'm.youtube.com', 'youtu.be', 'www.youtube-nocookie.com'];
+const VIMEO_HOSTS = ['vimeo.com', 'www.vimeo.com', 'player.vimeo.com'];
+const YOUTUBE_ID_PATTERN = /^[\w-]{11}$/;
+const NUMERIC_ID_PATTERN = /^\d+$/;
+
+/** The video blocks on the page, with the phase each one shows. */
+const videoStreams = [];
+
+/**
+ * Recognizes a video link and works out how to embed it.
+ * @param {string|null} url The link from the event sheet.
+ * @param {string[]} [embedHosts] The hosts whose pages may be embedded as they are.
+ * @returns {{provider: string, embedUrl: string, watchUrl: string}|null} The provider ('youtube',
+ *     'vimeo' or 'embed'), the URL for the iframe and the URL for a new tab; null if the link is
+ *     not an https video link that may be embedded.
+ */
+function parseVideoUrl(url, embedHosts = invitationConfig.video.embedHosts) {
+    let parsed;
+    try {
+        parsed = new URL((url || '').trim());
+    } catch (error) {
+        return null;
+    }
+    if (parsed.protocol !== 'https:' || parsed.username || parsed.password) return null;
+
+    const host = parsed.hostname.toLowerCase();
+    if (YOUTUBE_HOSTS.includes(host)) return parseYouTubeUrl(parsed);
+    if (VIMEO_HOSTS.includes(host)) return parseVimeoUrl(parsed);
+    if (embedHosts.map(embedHost => embedHost.toLowerCase()).includes(host)) {
+        return { provider: 'embed', embedUrl: parsed.href, watchUrl: parsed.href };
+    }
+    return null;
+}
+
+/**
+ * Reads a YouTube link: a video (watch, youtu.be, live, shorts or embed) or a channel's live stream.
+ * @param {URL} url The link.
+ * @returns {{provider: string, embedUrl: string, watchUrl: string}|null} The video, or null.
+ */
+function parseYouTubeUrl(url) {
+    const [first, second, third] = url.pathname.split('/').filter(part => part);
+
+    const channel = first === 'channel' && third === 'live' ? second
+        : first === 'embed' && second === 'live_stream' ? url.searchParams.get('channel')
+            : null;
+    if (channel) {
+        if (!/^[\w-]+$/.test(channel)) return null;
+        return {
+            provider: 'youtube',
+            embedUrl: `https://www.youtube.com/embed/live_stream?channel=${channel}`,
+            watchUrl: `https://www.youtube.com/channel/${channel}/live`
+        };
+    }
+
+    let id = null;
+    if (url.hostname === 'youtu.be') {
+        id = first;
+    } else if (first === 'watch') {
+        id = url.searchParams.get('v');
+    } else if (['live', 'shorts', 'embed'].includes(first)) {
+        id = second;
+    }
+    if (!id || !YOUTUBE_ID_PATTERN.test(id)) return null;
+    return {
+        provider: 'youtube',
+        embedUrl: `https://www.youtube.com/embed/${id}`,
+        watchUrl: `https://www.youtube.com/watch?v=${id}`
+    };
+}
+
+/**
+ * Reads a Vimeo link: a video, a private video with its hash, or a live event.
+ * @param {URL} url The link.
+ * @returns {{provider: string, embedUrl: string, watchUrl: string}|null} The video, or null.
+ */
+function parseVimeoUrl(url) {
+    const parts = url.pathname.split('/').filter(part => part);
+
+    if (parts[0] === 'event') {
+        const id = parts[1];
+        if (!NUMERIC_ID_PATTERN.test(id || '')) return null;
+        return { provider: 'vimeo', embedUrl: `https://vimeo.com/event/${id}/embed`, watchUrl: `https://vimeo.com/event/${id}` };
+    }
+
+    // player.vimeo.com/video/ID?h=HASH and vimeo.com/ID/HASH name the same private video.
+    const [id, hash] = url.hostname === 'player.vimeo.com'
+        ? (parts[0] === 'video' ? [parts[1], url.searchParams.get('h')] : [])
+        : [parts[0], parts[1]];
+    if (!NUMERIC_ID_PATTERN.test(id || '')) return null;
+    if (hash && !/^[\da-f]+$/i.test(hash)) return null;
+    return {
+        provider: 'vimeo',
+        embedUrl: `https://player.vimeo.com/video/${id}${hash ? `?h=${hash}` : ''}`,
+        watchUrl: `https://vimeo.com/${id}${hash ? `/${hash}` : ''}`
+    };
+}
+
+/**
+ * Works out which phase of the stream to show.
+ * @param {{start: Date|null, end: Date|null}} stream When the event starts and ends.
+ * @param {number} now The current time in milliseconds.
+ * @returns {string} 'before', 'live' or 'after'. Without a start time, the stream is always live.
+ */
+function getStreamPhase(stream, now) {
+    if (!stream.start) return 'live';
+    const margin = invitationConfig.video.margin * 60000;
+    if (now < stream.start.getTime() - margin) return 'before';
+    if (now < stream.end.getTime() + margin) return 'live';
+    return 'after';
+}
+
+/**
+ * Sets up a video block and shows the phase it is in.
+ * @param {HTMLElement} element The block with data-section="video".
+ * @param {{live: Object, replay: Object|null, start: Date|null, end: Date|null}} stream The live
+ *     and recorded videos (see parseVideoUrl) and when the event starts and ends.
+ * @param {number} now The current time in milliseconds.
+ */
+function setupVideoStream(element, stream, now) {
+    const videoStream = { ...stream, element, phase: null };
+    element.querySelector('iframe').title = element.querySelector('h3')?.textContent || '';
+    videoStreams.push(videoStream);
+    renderVideoStream(videoStream, now);
+}
+
+/**
+ * Moves every video block on the page to the phase it should be in.
+ * @param {number} now The current time in milliseconds.
+ */
+function renderVideoStreams(now) {
+    videoStreams.forEach(stream => renderVideoStream(stream, now));
+}
+
+/**
+ * Shows a video block's countdown, embed or end note. The iframe only changes with the phase,
+ * so a playing video is not reloaded when the countdown elsewhere on the page ticks.
+ * @param {Object} stream The block (see setupVideoStream).
+ * @param {number} now The current time in milliseconds.
+ */
+function renderVideoStream(stream, now) {
+    const phase = getStreamPhase(stream, now);
+    const video = phase === 'after' ? stream.replay : stream.live;
+    const status = stream.element.querySelector('.video-status');
+
+    if (phase === 'before') {
+        status.textContent = formatCountdown(stream.start.getTime() - now, 'video.startsIn');
+    } else if (!video) {
+        status.textContent = t('video.ended');
+    }
+    status.classList.toggle('hidden', phase !== 'before' && Boolean(video));
+
+    if (phase === stream.phase) return;
+    stream.phase = phase;
+
+    const isEmbedded = phase !== 'before' && Boolean(video);
+    const iframe = stream.element.querySelector('iframe');
+    if (isEmbedded) {
+        iframe.src = video.embedUrl;
+    } else {
+        iframe.removeAttribute('src');
+    }
+    stream.element.querySelector('.video-container').classList.toggle('hidden', !isEmbedded);
+
+    // The link also gives printed invitations the stream's address (see addPrintLinks).
+    const link = stream.element.querySelector('.video-link');
+    const watchUrl = (video || (phase === 'before' ? stream.live : null))?.watchUrl;
+    if (watchUrl) {
+        link.href = watchUrl;
+    } else {
+        link.removeAttribute('href');
+    }
+    stream.element.querySelector('.video-fallback').classList.toggle('hidden', !isEmbedded);
+}
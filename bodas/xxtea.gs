@@ -35,7 +35,7 @@ function XXTEA_ENCRYPT(data, key) {
 
   try {
     var result = encryptToBase64(s_data, s_key);
-    // Cache the result for 6 hours to avoid re-computation on the same data.
+    // Cache the result for 6 hours, so recalculating the sheet does not derive every key again.
     cache.put(hashedCacheKey, result, 21600);
     return result;
   } catch (e) {
@@ -80,6 +80,30 @@ function XXTEA_DECRYPT(data, key) {
   }
 }
 
+// Length in hex characters of the lookup hash. Must match LOOKUP_HASH_LENGTH in crypto.js.
+var LOOKUP_HASH_LENGTH = 16;
+
+/**
+ * Hashes an invitation code for the guest sheet's lookup column, so the page can
+ * find the guest's row directly instead of trying to decrypt every row.
+ *
+ * @param {string} code The invitation code (e.g., a cell reference).
+ * @param {string} key The sheet's lookup key, the same as in the page's configuration.
+ * @return {string} The first 16 hex characters of HMAC-SHA-256(key, code).
+ * @customfunction
+ */
+function LOOKUP_HASH(code, key) {
+  if (code === undefined || code === null || code === '') return '';
+  if (key === undefined || key === null || key === '') return 'ERROR: Key is required.';
+
+  var signature = Utilities.computeHmacSha256Signature(String(code), String(key), Utilities.Charset.UTF_8);
+  var hex = '';
+  for (var i = 0; i < signature.length; i++) {
+    hex += ('0' + (signature[i] & 0xFF).toString(16)).slice(-2);
+  }
+  return hex.slice(0, LOOKUP_HASH_LENGTH);
+}
+
 //================================================================//
 // XXTEA Core Implementation (Adapted for Google Apps Script)
 //================================================================//
@@ -204,7 +228,8 @@ function encryptToBase64(data, key) {
 }
 
 function decryptFromBase64(data, key) {
-    var dataBytes = Utilities.base64Decode(data);
+    // Same clean-up as decryptField in crypto.js: URL decoding or copy-paste can turn "+" into spaces.
+    var dataBytes = Utilities.base64Decode(data.trim().replace(/ /g, '+'));
     var keyBytes = Utilities.newBlob(key).getBytes();
 
     var v = toUint32Array(dataBytes, false);
@@ -219,3 +244,546 @@ function decryptFromBase64(data, key) {
 
     return Utilities.newBlob(decryptedBytes).getDataAsString();
 }
+
+//================================================================//
+// v2 Format: AES-256-GCM with a PBKDF2-SHA-256 Key
+//================================================================//
+//
+// "v2:" + Base64(salt | IV | ciphertext | tag), read by decryptField in
+// crypto.js with Web Crypto. Apps Script has no AES, so SHA-256, AES and
+// GCM are implemented below. The parameters must match the V2_* constants
+// in crypto.js.
+//
+// Every value gets its own random salt and IV, so a guess at a code has to
+// go through PBKDF2 again for each value it is tried against. PBKDF2 with
+// 100000 iterations takes seconds here, so recalculating the sheet relies on
+// the result caches of ENCRYPT_V2 and DECRYPT_V2; derived keys are never cached.
+
+var V2_PREFIX = 'v2:';
+var V2_SALT_LENGTH = 16;
+var V2_IV_LENGTH = 12;
+var V2_TAG_LENGTH = 16;
+var V2_PBKDF2_ITERATIONS = 100000;
+
+/**
+ * Encrypts data with a key using AES-256-GCM and returns a "v2:" string.
+ * Each call uses a fresh random salt and IV, so the same cell never encrypts
+ * to the same text twice (apart from the cache below).
+ *
+ * @param {string} data The data to encrypt (e.g., a cell reference).
+ * @param {string} key The secret encryption key.
+ * @return {string} The "v2:" prefixed Base64 encrypted data.
+ * @customfunction
+ */
+function ENCRYPT_V2(data, key) {
+  if (data === undefined || data === null || data === '') return '';
+  if (key === undefined || key === null || key === '') return 'ERROR: Key is required.';
+
+  var s_data = String(data);
+  var s_key = String(key);
+
+  var cache = CacheService.getScriptCache();
+  // Keeps recalculated cells stable instead of producing a new random ciphertext each time.
+  var cacheKey = 'encrypt_v2_' + s_data + '_' + s_key;
+  var hashedCacheKey = Utilities.base64Encode(Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256, cacheKey));
+
+  var cached = cache.get(hashedCacheKey);
+  if (cached != null) {
+    return cached;
+  }
+
+  try {
+    var result = encryptV2ToBase64(s_data, s_key, randomBytes(V2_SALT_LENGTH), randomBytes(V2_IV_LENGTH));
+    // Cache the result for 6 hours to avoid re-computation on the same data.
+    cache.put(hashedCacheKey, result, 21600);
+    return result;
+  } catch (e) {
+    return 'ERROR: ' + e.message;
+  }
+}
+
+/**
+ * Decrypts a "v2:" string with a key using AES-256-GCM.
+ *
+ * @param {string} data The "v2:" encrypted data (e.g., a cell reference).
+ * @param {string} key The secret decryption key.
+ * @return {string} The decrypted data, or an empty string if the key is wrong or the data was altered.
+ * @customfunction
+ */
+function DECRYPT_V2(data, key) {
+  if (data === undefined || data === null || data === '') return '';
+  if (key === undefined || key === null || key === '') return 'ERROR: Key is required.';
+
+  var s_data = String(data);
+  var s_key = String(key);
+
+  var cache = CacheService.getScriptCache();
+  var cacheKey = 'decrypt_v2_' + s_data + '_' + s_key;
+  var hashedCacheKey = Utilities.base64Encode(Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256, cacheKey));
+
+  var cached = cache.get(hashedCacheKey);
+  if (cached != null) {
+    return cached;
+  }
+
+  try {
+    var decrypted = decryptV2FromBase64(s_data, s_key);
+    var result = decrypted === null ? '' : decrypted;
+    // Cache the result for 6 hours to avoid re-computation on the same data.
+    cache.put(hashedCacheKey, result, 21600);
+    return result;
+  } catch (e) {
+    // This catches errors from invalid Base64, etc.
+    return '';
+  }
+}
+
+/**
+ * Converts the signed bytes returned by Utilities to unsigned values.
+ * @param {byte[]} bytes The signed bytes.
+ * @return {number[]} The bytes as values from 0 to 255.
+ */
+function toUnsignedBytes(bytes) {
+    var result = [];
+    for (var i = 0; i < bytes.length; i++) {
+        result.push(bytes[i] & 0xFF);
+    }
+    return result;
+}
+
+/**
+ * Returns random bytes for a salt or an IV. Apps Script has no secure random
+ * source, so two random UUIDs (244 random bits) are hashed together.
+ * @param {number} length The number of bytes, at most 32.
+ * @return {number[]} The random bytes.
+ */
+function randomBytes(length) {
+    var seed = Utilities.getUuid() + Utilities.getUuid() + Date.now();
+    var digest = Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256, seed);
+    return toUnsignedBytes(digest).slice(0, length);
+}
+
+/**
+ * Derives the AES round keys for a key and salt with PBKDF2.
+ * @param {string} key The secret key.
+ * @param {number[]} salt The salt bytes.
+ * @return {number[]} The round keys from aesExpandKey.
+ */
+function deriveV2RoundKeys(key, salt) {
+    return aesExpandKey(pbkdf2Sha256(toUnsignedBytes(Utilities.newBlob(key).getBytes()), salt, V2_PBKDF2_ITERATIONS));
+}
+
+/**
+ * Encrypts text into a "v2:" string with the given salt and IV.
+ * @param {string} data The text to encrypt.
+ * @param {string} key The secret key.
+ * @param {number[]} salt The V2_SALT_LENGTH salt bytes, random for every value.
+ * @param {number[]} iv The V2_IV_LENGTH IV bytes, which must never repeat for the same key.
+ * @return {string} The "v2:" prefixed Base64 encrypted data.
+ */
+function encryptV2ToBase64(data, key, salt, iv) {
+    var roundKeys = deriveV2RoundKeys(key, salt);
+    var sealed = gcmEncrypt(roundKeys, iv, toUnsignedBytes(Utilities.newBlob(data).getBytes()));
+
+    return V2_PREFIX + Utilities.base64Encode(salt.concat(iv, sealed));
+}
+
+/**
+ * Decrypts a "v2:" string with the salt and IV it carries.
+ * @param {string} data The "v2:" encrypted data.
+ * @param {string} key The secret key.
+ * @return {string|null} The decrypted text, or null if it is not a v2 ciphertext, the key is
+ *     wrong or the data was altered.
+ * @throws {Error} If the data is not valid Base64.
+ */
+function decryptV2FromBase64(data, key) {
+    var text = data.trim();
+    if (text.indexOf(V2_PREFIX) !== 0) {
+        return null; // Not a v2 ciphertext
+    }
+    var bytes = toUnsignedBytes(Utilities.base64Decode(text.slice(V2_PREFIX.length).replace(/ /g, '+')));
+    if (bytes.length < V2_SALT_LENGTH + V2_IV_LENGTH + V2_TAG_LENGTH) {
+        return null;
+    }
+    var salt = bytes.slice(0, V2_SALT_LENGTH);
+    var iv = bytes.slice(V2_SALT_LENGTH, V2_SALT_LENGTH + V2_IV_LENGTH);
+    var roundKeys = deriveV2RoundKeys(key, salt);
+    var plaintext = gcmDecrypt(roundKeys, iv, bytes.slice(V2_SALT_LENGTH + V2_IV_LENGTH));
+
+    if (plaintext === null) {
+        return null; // Wrong key or altered data
+    }
+    return Utilities.newBlob(plaintext).getDataAsString();
+}
+
+//----------------------------------------------------------------//
+// SHA-256, HMAC and PBKDF2
+//----------------------------------------------------------------//
+
+var SHA256_K = [
+    0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+    0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+    0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+    0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+    0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+    0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+    0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+    0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+];
+
+var SHA256_INITIAL_STATE = [
+    0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19
+];
+
+/**
+ * Runs the SHA-256 compression function on one 64-byte block.
+ * @param {number[]} state The eight state words, updated in place.
+ * @param {number[]} block The sixteen 32-bit words of the block.
+ */
+function sha256Compress(state, block) {
+    var w = block.slice(0, 16);
+    for (var t = 16; t < 64; t++) {
+        var x = w[t - 15];
+        var y = w[t - 2];
+        var s0 = (x >>> 7 | x << 25) ^ (x >>> 18 | x << 14) ^ (x >>> 3);
+        var s1 = (y >>> 17 | y << 15) ^ (y >>> 19 | y << 13) ^ (y >>> 10);
+        w[t] = (w[t - 16] + s0 + w[t - 7] + s1) | 0;
+    }
+
+    var a = state[0], b = state[1], c = state[2], d = state[3];
+    var e = state[4], f = state[5], g = state[6], h = state[7];
+    for (var i = 0; i < 64; i++) {
+        var S1 = (e >>> 6 | e << 26) ^ (e >>> 11 | e << 21) ^ (e >>> 25 | e << 7);
+        var t1 = (h + S1 + ((e & f) ^ (~e & g)) + SHA256_K[i] + w[i]) | 0;
+        var S0 = (a >>> 2 | a << 30) ^ (a >>> 13 | a << 19) ^ (a >>> 22 | a << 10);
+        var t2 = (S0 + ((a & b) ^ (a & c) ^ (b & c))) | 0;
+        h = g; g = f; f = e; e = (d + t1) | 0;
+        d = c; c = b; b = a; a = (t1 + t2) | 0;
+    }
+
+    state[0] = (state[0] + a) | 0; state[1] = (state[1] + b) | 0;
+    state[2] = (state[2] + c) | 0; state[3] = (state[3] + d) | 0;
+    state[4] = (state[4] + e) | 0; state[5] = (state[5] + f) | 0;
+    state[6] = (state[6] + g) | 0; state[7] = (state[7] + h) | 0;
+}
+
+/**
+ * Hashes a message, continuing from a state that has already absorbed some blocks.
+ * @param {number[]} state The starting state (not modified).
+ * @param {number} prefixLength The number of bytes already absorbed into the state.
+ * @param {number[]} bytes The rest of the message.
+ * @return {number[]} The eight words of the digest.
+ */
+function sha256Finish(state, prefixLength, bytes) {
+    var h = state.slice();
+    var bitLength = (prefixLength + bytes.length) * 8;
+    var padded = bytes.concat([0x80]);
+    while (padded.length % 64 !== 56) {
+        padded.push(0);
+    }
+    // Messages here are far shorter than 2^32 bits, so the high length word is zero.
+    padded.push(0, 0, 0, 0, bitLength >>> 24, (bitLength >>> 16) & 0xFF, (bitLength >>> 8) & 0xFF, bitLength & 0xFF);
+
+    for (var i = 0; i < padded.length; i += 64) {
+        sha256Compress(h, bytesToWords(padded.slice(i, i + 64)));
+    }
+    return h;
+}
+
+/**
+ * Prepares HMAC-SHA-256 for a key by absorbing the padded key into the inner and
+ * outer states once, which keeps each of PBKDF2's iterations down to two blocks.
+ * @param {number[]} key The key bytes.
+ * @return {{inner: number[], outer: number[]}} The inner and outer states.
+ */
+function hmacSha256States(key) {
+    if (key.length > 64) {
+        key = wordsToBytes(sha256Finish(SHA256_INITIAL_STATE, 0, key));
+    }
+    var inner = [];
+    var outer = [];
+    for (var i = 0; i < 64; i++) {
+        var b = i < key.length ? key[i] : 0;
+        inner.push(b ^ 0x36);
+        outer.push(b ^ 0x5c);
+    }
+    var innerState = SHA256_INITIAL_STATE.slice();
+    var outerState = SHA256_INITIAL_STATE.slice();
+    sha256Compress(innerState, bytesToWords(inner));
+    sha256Compress(outerState, bytesToWords(outer));
+    return { inner: innerState, outer: outerState };
+}
+
+/**
+ * Computes HMAC-SHA-256 from the states prepared by hmacSha256States.
+ * @param {{inner: number[], outer: number[]}} states The inner and outer states of the key.
+ * @param {number[]} message The message bytes.
+ * @return {number[]} The 32 bytes of the MAC.
+ */
+function hmacSha256(states, message) {
+    var innerHash = sha256Finish(states.inner, 64, message);
+    return wordsToBytes(sha256Finish(states.outer, 64, wordsToBytes(innerHash)));
+}
+
+/**
+ * Derives a 32-byte key with PBKDF2-HMAC-SHA-256 (a single output block).
+ * @param {number[]} password The password bytes.
+ * @param {number[]} salt The salt bytes.
+ * @param {number} iterations The iteration count.
+ * @return {number[]} The derived key bytes.
+ */
+function pbkdf2Sha256(password, salt, iterations) {
+    var states = hmacSha256States(password);
+    var u = hmacSha256(states, salt.concat([0, 0, 0, 1]));
+    var result = u.slice();
+    for (var i = 1; i < iterations; i++) {
+        u = hmacSha256(states, u);
+        for (var j = 0; j < result.length; j++) {
+            result[j] ^= u[j];
+        }
+    }
+    return result;
+}
+
+/**
+ * Packs bytes into big-endian 32-bit words.
+ * @param {number[]} bytes The bytes, a multiple of four long.
+ * @return {number[]} The words, as signed 32-bit integers.
+ */
+function bytesToWords(bytes) {
+    var words = [];
+    for (var i = 0; i < bytes.length; i += 4) {
+        words.push((bytes[i] << 24) | (bytes[i + 1] << 16) | (bytes[i + 2] << 8) | bytes[i + 3]);
+    }
+    return words;
+}
+
+/**
+ * Unpacks big-endian 32-bit words into bytes, the reverse of bytesToWords.
+ * @param {number[]} words The words.
+ * @return {number[]} The bytes, four per word.
+ */
+function wordsToBytes(words) {
+    var bytes = [];
+    for (var i = 0; i < words.length; i++) {
+        bytes.push((words[i] >>> 24) & 0xFF, (words[i] >>> 16) & 0xFF, (words[i] >>> 8) & 0xFF, words[i] & 0xFF);
+    }
+    return bytes;
+}
+
+//----------------------------------------------------------------//
+// AES-256 and GCM
+//----------------------------------------------------------------//
+
+var AES_SBOX = buildAesSbox();
+
+/**
+ * Builds the AES S-box from the multiplicative inverse in GF(2^8) and the affine transform.
+ * @return {number[]} The 256-entry S-box.
+ */
+function buildAesSbox() {
+    var sbox = [];
+    var p = 1, q = 1;
+    do {
+        // Walk p through the field with generator 3 and q through the inverses.
+        p = p ^ ((p << 1) & 0xFF) ^ (p & 0x80 ? 0x1B : 0);
+        q ^= q << 1;
+        q ^= q << 2;
+        q ^= q << 4;
+        q &= 0xFF;
+        if (q & 0x80) q ^= 0x09;
+        var x = q ^ rotl8(q, 1) ^ rotl8(q, 2) ^ rotl8(q, 3) ^ rotl8(q, 4);
+        sbox[p] = x ^ 0x63;
+    } while (p !== 1);
+    sbox[0] = 0x63;
+    return sbox;
+}
+
+/**
+ * Rotates a byte to the left.
+ * @param {number} x The byte.
+ * @param {number} shift The number of bits, from 1 to 7.
+ * @return {number} The rotated byte.
+ */
+function rotl8(x, shift) {
+    return ((x << shift) | (x >>> (8 - shift))) & 0xFF;
+}
+
+/**
+ * Multiplies a byte by x (that is, 2) in the AES field GF(2^8).
+ * @param {number} x The byte.
+ * @return {number} The product.
+ */
+function xtime(x) {
+    return ((x << 1) ^ (x & 0x80 ? 0x1B : 0)) & 0xFF;
+}
+
+/**
+ * Expands a 32-byte key into the 15 round keys of AES-256.
+ * @param {number[]} key The key bytes.
+ * @return {number[]} The 240 bytes of round keys.
+ */
+function aesExpandKey(key) {
+    var w = key.slice(0, 32);
+    var rcon = 1;
+    for (var i = 32; i < 240; i += 4) {
+        var t = w.slice(i - 4, i);
+        if (i % 32 === 0) {
+            t = [AES_SBOX[t[1]] ^ rcon, AES_SBOX[t[2]], AES_SBOX[t[3]], AES_SBOX[t[0]]];
+            rcon = xtime(rcon);
+        } else if (i % 32 === 16) {
+            t = [AES_SBOX[t[0]], AES_SBOX[t[1]], AES_SBOX[t[2]], AES_SBOX[t[3]]];
+        }
+        for (var j = 0; j < 4; j++) {
+            w.push(w[i - 32 + j] ^ t[j]);
+        }
+    }
+    return w;
+}
+
+/**
+ * Encrypts one 16-byte block with AES-256.
+ * @param {number[]} roundKeys The round keys from aesExpandKey.
+ * @param {number[]} block The 16 input bytes.
+ * @return {number[]} The 16 encrypted bytes.
+ */
+function aesEncryptBlock(roundKeys, block) {
+    var s = [];
+    for (var i = 0; i < 16; i++) {
+        s[i] = block[i] ^ roundKeys[i];
+    }
+    for (var round = 1; round <= 14; round++) {
+        // SubBytes and ShiftRows (the state is column-major).
+        var t = [];
+        for (var c = 0; c < 4; c++) {
+            for (var r = 0; r < 4; r++) {
+                t[c * 4 + r] = AES_SBOX[s[((c + r) % 4) * 4 + r]];
+            }
+        }
+        // MixColumns, skipped in the last round.
+        if (round < 14) {
+            for (var c = 0; c < 4; c++) {
+                var a0 = t[c * 4], a1 = t[c * 4 + 1], a2 = t[c * 4 + 2], a3 = t[c * 4 + 3];
+                var all = a0 ^ a1 ^ a2 ^ a3;
+                t[c * 4] = a0 ^ all ^ xtime(a0 ^ a1);
+                t[c * 4 + 1] = a1 ^ all ^ xtime(a1 ^ a2);
+                t[c * 4 + 2] = a2 ^ all ^ xtime(a2 ^ a3);
+                t[c * 4 + 3] = a3 ^ all ^ xtime(a3 ^ a0);
+            }
+        }
+        for (var i = 0; i < 16; i++) {
+            s[i] = t[i] ^ roundKeys[round * 16 + i];
+        }
+    }
+    return s;
+}
+
+/**
+ * Multiplies two elements of GF(2^128) as defined for GHASH.
+ * @param {number[]} x Four big-endian 32-bit words.
+ * @param {number[]} y Four big-endian 32-bit words.
+ * @return {number[]} The product as four words.
+ */
+function gcmMultiply(x, y) {
+    var z = [0, 0, 0, 0];
+    var v = y.slice();
+    for (var i = 0; i < 128; i++) {
+        if ((x[i >> 5] >>> (31 - (i & 31))) & 1) {
+            z[0] ^= v[0]; z[1] ^= v[1]; z[2] ^= v[2]; z[3] ^= v[3];
+        }
+        var lsb = v[3] & 1;
+        v[3] = (v[3] >>> 1) | (v[2] << 31);
+        v[2] = (v[2] >>> 1) | (v[1] << 31);
+        v[1] = (v[1] >>> 1) | (v[0] << 31);
+        v[0] = v[0] >>> 1;
+        if (lsb) v[0] ^= 0xE1000000;
+    }
+    return z;
+}
+
+/**
+ * Computes the GCM tag of a ciphertext (there is no additional data).
+ * @param {number[]} roundKeys The AES round keys.
+ * @param {number[]} j0 The pre-counter block.
+ * @param {number[]} ciphertext The ciphertext bytes.
+ * @return {number[]} The 16 tag bytes.
+ */
+function gcmTag(roundKeys, j0, ciphertext) {
+    var h = bytesToWords(aesEncryptBlock(roundKeys, [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0]));
+    var y = [0, 0, 0, 0];
+    for (var i = 0; i < ciphertext.length; i += 16) {
+        var block = ciphertext.slice(i, i + 16);
+        while (block.length < 16) block.push(0);
+        var x = bytesToWords(block);
+        y = gcmMultiply([y[0] ^ x[0], y[1] ^ x[1], y[2] ^ x[2], y[3] ^ x[3]], h);
+    }
+    var bitLength = ciphertext.length * 8;
+    y = gcmMultiply([y[0], y[1], y[2], y[3] ^ bitLength], h);
+
+    var mask = aesEncryptBlock(roundKeys, j0);
+    var tag = wordsToBytes(y);
+    for (var i = 0; i < 16; i++) {
+        tag[i] ^= mask[i];
+    }
+    return tag;
+}
+
+/**
+ * Applies the GCM counter mode keystream, starting from the block after j0.
+ * @param {number[]} roundKeys The AES round keys.
+ * @param {number[]} j0 The pre-counter block.
+ * @param {number[]} input The plaintext or ciphertext bytes.
+ * @return {number[]} The output bytes.
+ */
+function gcmCtr(roundKeys, j0, input) {
+    var counter = j0.slice();
+    var output = [];
+    for (var i = 0; i < input.length; i += 16) {
+        // inc32: increment the last four bytes as a big-endian integer.
+        for (var j = 15; j >= 12; j--) {
+            counter[j] = (counter[j] + 1) & 0xFF;
+            if (counter[j] !== 0) break;
+        }
+        var keystream = aesEncryptBlock(roundKeys, counter);
+        for (var j = 0; j < 16 && i + j < input.length; j++) {
+            output.push(input[i + j] ^ keystream[j]);
+        }
+    }
+    return output;
+}
+
+/**
+ * Encrypts with AES-GCM (a 12-byte IV and no additional data).
+ * @param {number[]} roundKeys The AES round keys.
+ * @param {number[]} iv The 12 IV bytes.
+ * @param {number[]} plaintext The plaintext bytes.
+ * @return {number[]} The ciphertext followed by the 16-byte tag.
+ */
+function gcmEncrypt(roundKeys, iv, plaintext) {
+    var j0 = iv.concat([0, 0, 0, 1]);
+    var ciphertext = gcmCtr(roundKeys, j0, plaintext);
+    return ciphertext.concat(gcmTag(roundKeys, j0, ciphertext));
+}
+
+/**
+ * Decrypts with AES-GCM after checking the tag in constant time.
+ * @param {number[]} roundKeys The AES round keys.
+ * @param {number[]} iv The 12 IV bytes.
+ * @param {number[]} sealed The ciphertext followed by the 16-byte tag.
+ * @return {number[]|null} The plaintext bytes, or null if the tag does not match.
+ */
+function gcmDecrypt(roundKeys, iv, sealed) {
+    var j0 = iv.concat([0, 0, 0, 1]);
+    var ciphertext = sealed.slice(0, sealed.length - V2_TAG_LENGTH);
+    var tag = sealed.slice(sealed.length - V2_TAG_LENGTH);
+    var expected = gcmTag(roundKeys, j0, ciphertext);
+
+    var diff = 0;
+    for (var i = 0; i < V2_TAG_LENGTH; i++) {
+        diff |= tag[i] ^ expected[i];
+    }
+    if (diff !== 0) {
+        return null; // Integrity check failed
+    }
+    return gcmCtr(roundKeys, j0, ciphertext);
+}
@@ -0,0 +1,111 @@
+/**
+ * --------------------------------------------------------------------
+ * Calendar Files
+ * --------------------------------------------------------------------
+ * buildIcsCalendar (script.js) writes each event at its wall-clock time
+ * in the event's time zone, DTSTART;TZID=..., with a VTIMEZONE telling
+ * calendars that zone's offsets, including a change of offset between
+ * the events, so the guest's calendar keeps them at their local time.
+ * --------------------------------------------------------------------
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadBrowserScripts } = require('./harness');
+
+const { context } = loadBrowserScripts(['config.js', 'i18n.js', 'locales/es.js', 'data.js', 'video.js', 'script.js'], {
+    document: { addEventListener() {} },
+    window: { location: { search: '', hostname: 'example.com' } },
+    navigator: { languages: ['es'] }
+});
+
+/**
+ * Creates a calendar entry like the ones buildCalendarEvent makes.
+ * @param {string} id The event's section name.
+ * @param {string} start When the event starts, as ISO 8601 with its offset.
+ * @param {string} timeZone The event's IANA time zone.
+ * @returns {Object} The calendar entry, lasting two hours.
+ */
+function calendarEvent(id, start, timeZone) {
+    const startDate = new Date(start);
+    return { id, title: id, start: startDate, end: new Date(startDate.getTime() + 2 * 3600000), location: 'Salón', timeZone };
+}
+
+/**
+ * Returns the content lines of an .ics file, unfolded.
+ * @param {string} ics The contents of the file.
+ * @returns {string[]} The lines.
+ */
+function icsLines(ics) {
+    return ics.replace(/\r\n /g, '').split('\r\n').filter(line => line);
+}
+
+/**
+ * Returns the lines of each component of a kind, e.g. every VTIMEZONE.
+ * @param {string[]} lines The content lines.
+ * @param {string} name The component name.
+ * @returns {Array<string[]>} The lines inside each component, without BEGIN and END.
+ */
+function components(lines, name) {
+    const found = [];
+    lines.forEach((line, index) => {
+        if (line === `BEGIN:${name}`) found.push(lines.slice(index + 1, lines.indexOf(`END:${name}`, index)));
+    });
+    return found;
+}
+
+test.describe('buildIcsCalendar', () => {
+    test('writes the local time with the event\'s time zone', () => {
+        const lines = icsLines(context.buildIcsCalendar([
+            calendarEvent('fiesta', '2025-11-21T21:00:00-03:00', 'America/Argentina/Buenos_Aires')
+        ], 'https://example.com/?i=demo'));
+        const [event] = components(lines, 'VEVENT');
+        assert.ok(event.includes('DTSTART;TZID=America/Argentina/Buenos_Aires:20251121T210000'));
+        assert.ok(event.includes('DTEND;TZID=America/Argentina/Buenos_Aires:20251121T230000'));
+        assert.ok(event.includes('UID:fiesta-20251122T000000Z@example.com'));
+
+        const [timeZone] = components(lines, 'VTIMEZONE');
+        assert.deepEqual(timeZone, [
+            'TZID:America/Argentina/Buenos_Aires',
+            'BEGIN:STANDARD',
+            'DTSTART:20251121T210000',
+            'TZOFFSETFROM:-0300',
+            'TZOFFSETTO:-0300',
+            'END:STANDARD'
+        ]);
+        assert.ok(lines.indexOf('BEGIN:VTIMEZONE') < lines.indexOf('BEGIN:VEVENT'), 'the time zone comes before the events');
+    });
+
+    test('describes a change to standard time between the events', () => {
+        const lines = icsLines(context.buildIcsCalendar([
+            calendarEvent('civil', '2025-10-25T12:00:00+02:00', 'Europe/Madrid'),
+            calendarEvent('fiesta', '2025-10-27T20:00:00+01:00', 'Europe/Madrid')
+        ], 'https://example.com/?i=demo'));
+        const events = components(lines, 'VEVENT');
+        assert.ok(events[0].includes('DTSTART;TZID=Europe/Madrid:20251025T120000'));
+        assert.ok(events[1].includes('DTSTART;TZID=Europe/Madrid:20251027T200000'));
+
+        const timeZones = components(lines, 'VTIMEZONE');
+        assert.equal(timeZones.length, 1);
+        assert.deepEqual(components(timeZones[0], 'DAYLIGHT'), [
+            ['DTSTART:20251025T120000', 'TZOFFSETFROM:+0200', 'TZOFFSETTO:+0200']
+        ]);
+        // Summer time ends at 03:00 local time on the last Sunday of October.
+        assert.deepEqual(components(timeZones[0], 'STANDARD'), [
+            ['DTSTART:20251026T030000', 'TZOFFSETFROM:+0200', 'TZOFFSETTO:+0100']
+        ]);
+    });
+
+    test('has a time zone for each zone of the events', () => {
+        const lines = icsLines(context.buildIcsCalendar([
+            calendarEvent('civil', '2025-11-20T11:00:00+01:00', 'Europe/Madrid'),
+            calendarEvent('fiesta', '2025-11-21T21:00:00-03:00', 'America/Argentina/Buenos_Aires'),
+            calendarEvent('discurso', '2025-11-21T19:00:00-03:00', 'America/Argentina/Buenos_Aires')
+        ], 'https://example.com/?i=demo'));
+        assert.deepEqual(components(lines, 'VTIMEZONE').map(([tzid]) => tzid),
+            ['TZID:Europe/Madrid', 'TZID:America/Argentina/Buenos_Aires']);
+        assert.equal(components(lines, 'VEVENT').length, 3);
+        // The zone starts at the earliest of its events, not the first one listed.
+        assert.ok(lines.includes('DTSTART:20251121T190000'));
+    });
+});
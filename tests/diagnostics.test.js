@@ -0,0 +1,85 @@
+/**
+ * --------------------------------------------------------------------
+ * Errors and Diagnostics
+ * --------------------------------------------------------------------
+ * Each kind of failure must reach the guest as its own message
+ * (getErrorMessageId, diagnostics.js), and the ?debug=1 report must name
+ * what failed: the fetch attempts, the sheets' sizes and the fields that
+ * did not decrypt, which decryptField (crypto.js) only notes when named.
+ * --------------------------------------------------------------------
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const vm = require('node:vm');
+const { loadBrowserScripts } = require('./harness');
+
+const { context } = loadBrowserScripts(['xxtea.min.js', 'crypto.js', 'data.js', 'diagnostics.js']);
+const { getErrorMessageId, buildDebugReport, decryptField } = context;
+// Classes and constants are not properties of the global object, so they are read from its scope.
+const { NetworkError, CsvParseError, DecryptError, InvitationNotFoundError, MissingTemplateError, decryptFailures } =
+    vm.runInContext('({ NetworkError, CsvParseError, DecryptError, InvitationNotFoundError, MissingTemplateError, decryptFailures })', context);
+
+test.describe('getErrorMessageId', () => {
+    [
+        [() => new NetworkError('data/guests.csv', 3, 503), 'connection-error-message'],
+        [() => new CsvParseError('quoted field is never closed', 2, 1), 'data-error-message'],
+        [() => new InvitationNotFoundError(), 'not-found-message'],
+        [() => new DecryptError('Nombre'), 'decrypt-error-message'],
+        [() => new MissingTemplateError('fiesta-template'), 'page-error-message'],
+        [() => new Error('Failed to fetch'), 'data-error-message']
+    ].forEach(([createError, messageId]) => {
+        const error = createError();
+        test(`shows ${messageId} for ${error.name}`, () => {
+            assert.equal(getErrorMessageId(error), messageId);
+        });
+    });
+});
+
+test.describe('decryptField', () => {
+    test('notes the named fields that do not decrypt', async () => {
+        decryptFailures.length = 0;
+        const ciphertext = context.XXTEA.encryptToBase64('Familia Ejemplo', 'demo');
+        assert.equal(await decryptField(ciphertext, 'otro', 'Nombre'), null);
+        assert.equal(await decryptField('no es base64!', 'demo', 'Invitados'), null);
+        assert.deepEqual(Array.from(decryptFailures, failure => failure.field), ['Nombre', 'Invitados']);
+    });
+
+    test('does not note unnamed fields or empty cells', async () => {
+        decryptFailures.length = 0;
+        const ciphertext = context.XXTEA.encryptToBase64('demo', 'demo');
+        assert.equal(await decryptField(ciphertext, 'otro'), null);
+        assert.equal(await decryptField('', 'demo', 'Eventos'), null);
+        assert.equal(decryptFailures.length, 0);
+    });
+});
+
+test.describe('buildDebugReport', () => {
+    test('lists the attempts, rows, failed fields, stages and errors', () => {
+        const dataSource = {
+            name: 'sheets',
+            servedFromCache: true,
+            fetchAttempts: [
+                { url: 'guests.csv', attempt: 1, status: null, error: 'Failed to fetch', ms: 12.4 },
+                { url: 'guests.csv', attempt: 2, status: 200, error: null, ms: 80 }
+            ],
+            rowCounts: { guest: { rows: 40, columns: 12 } }
+        };
+        const diagnostics = { stages: [{ name: 'load guests', ms: 95.2, failed: false }], errors: [new DecryptError('Eventos')] };
+        const report = buildDebugReport(dataSource, diagnostics, [{ field: 'fiesta Fecha', reason: 'wrong key or altered data' }]);
+
+        assert.match(report, /^Data source: sheets \(offline copy\)$/m);
+        assert.match(report, /^ {2}#1 guests\.csv: Failed to fetch in 12 ms$/m);
+        assert.match(report, /^ {2}#2 guests\.csv: 200 in 80 ms$/m);
+        assert.match(report, /^ {2}guest: 40 rows, 12 columns$/m);
+        assert.match(report, /^ {2}fiesta Fecha: wrong key or altered data$/m);
+        assert.match(report, /^ {2}load guests: 95 ms$/m);
+        assert.match(report, /^ {2}DecryptError: Could not decrypt Eventos\. -> decrypt-error-message$/m);
+    });
+
+    test('works without a data source', () => {
+        const report = buildDebugReport(null, { stages: [], errors: [] }, []);
+        assert.match(report, /^Data source: none$/m);
+        assert.doesNotMatch(report, /undefined/);
+    });
+});
@@ -0,0 +1,126 @@
+/**
+ * --------------------------------------------------------------------
+ * Test Harness
+ * --------------------------------------------------------------------
+ * Runs the site's scripts under Node, without a browser or Apps Script.
+ * 1. loadAppsScript runs .gs files with stand-ins for the Apps Script
+ *    services it uses (Utilities, CacheService), which behave like the
+ *    real ones where it matters: bytes are signed Java bytes and Base64
+ *    decoding rejects anything that is not Base64.
+ * 2. loadBrowserScripts runs page scripts in a shared global scope, as
+ *    the <script> tags of index.html do, with Node's WebCrypto and any
+ *    stand-ins the test passes for the page (document, timers).
+ * Run the tests with `node --test tests/` from the repository root.
+ * --------------------------------------------------------------------
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const nodeCrypto = require('node:crypto');
+
+const SITE_DIR = path.join(__dirname, '..', 'bodas');
+
+/**
+ * Converts bytes to the signed bytes (-128 to 127) Apps Script passes around.
+ * @param {Uint8Array|Buffer} bytes The bytes.
+ * @returns {number[]} The signed bytes.
+ */
+function toSignedBytes(bytes) {
+    return Array.from(bytes, b => (b > 127 ? b - 256 : b));
+}
+
+/**
+ * Converts signed or unsigned bytes, or a string as UTF-8, to a Buffer.
+ * @param {number[]|string} value The bytes or text.
+ * @returns {Buffer} The bytes.
+ */
+function toBuffer(value) {
+    return typeof value === 'string' ? Buffer.from(value, 'utf8') : Buffer.from(value.map(b => b & 0xFF));
+}
+
+/**
+ * Creates a stand-in for the Apps Script Utilities service.
+ * @returns {Object} The methods of Utilities used by the .gs files.
+ */
+function createUtilities() {
+    return {
+        Charset: { UTF_8: 'UTF-8' },
+        DigestAlgorithm: { SHA_256: 'sha256' },
+        base64Encode: value => toBuffer(value).toString('base64'),
+        base64Decode: (text) => {
+            // Buffer.from silently skips invalid characters; Apps Script throws instead.
+            if (!/^[A-Za-z0-9+/]*={0,2}$/.test(text) || text.length % 4 === 1) {
+                throw new Error('Could not decode string.');
+            }
+            return toSignedBytes(Buffer.from(text, 'base64'));
+        },
+        computeDigest: (algorithm, value) => toSignedBytes(nodeCrypto.createHash(algorithm).update(toBuffer(value)).digest()),
+        computeHmacSha256Signature: (value, key) => toSignedBytes(nodeCrypto.createHmac('sha256', toBuffer(key)).update(toBuffer(value)).digest()),
+        getUuid: () => nodeCrypto.randomUUID(),
+        newBlob: data => ({
+            getBytes: () => toSignedBytes(toBuffer(data)),
+            getDataAsString: () => toBuffer(data).toString('utf8')
+        })
+    };
+}
+
+/**
+ * Creates a stand-in for the Apps Script CacheService, backed by a Map.
+ * @param {Map<string, string>} store Where the cached values are kept.
+ * @returns {Object} The methods of CacheService used by the .gs files.
+ */
+function createCacheService(store) {
+    const cache = {
+        get: key => (store.has(key) ? store.get(key) : null),
+        put: (key, value) => {
+            store.set(key, value);
+        }
+    };
+    return { getScriptCache: () => cache };
+}
+
+/**
+ * Runs Apps Script files in one global scope, as Apps Script does with the files of a project.
+ * @param {string|string[]} fileNames The file or files, relative to the site directory, e.g. 'xxtea.gs'.
+ * @returns {{context: Object, cache: Map<string, string>}} The scripts' global scope, with their
+ *     functions, and the contents of their script cache.
+ */
+function loadAppsScript(fileNames) {
+    const cache = new Map();
+    const context = vm.createContext({
+        Utilities: createUtilities(),
+        CacheService: createCacheService(cache)
+    });
+    [].concat(fileNames).forEach(fileName => {
+        vm.runInContext(fs.readFileSync(path.join(SITE_DIR, fileName), 'utf8'), context, { filename: fileName });
+    });
+    return { context, cache };
+}
+
+/**
+ * Runs page scripts in one global scope, in order.
+ * @param {string[]} fileNames The files, relative to the site directory, e.g. ['xxtea.min.js', 'crypto.js'].
+ * @param {Object} [globals] More globals for the scripts, e.g. a stand-in `document`.
+ * @returns {{context: Object, errors: Array<Array<*>>}} The shared global scope, and the arguments
+ *     of every console.error call, which the scripts use to report failed decryptions.
+ */
+function loadBrowserScripts(fileNames, globals = {}) {
+    const errors = [];
+    const context = vm.createContext({
+        atob,
+        btoa,
+        crypto: globalThis.crypto,
+        TextEncoder,
+        TextDecoder,
+        URL,
+        console: { log() {}, warn() {}, error: (...args) => errors.push(args) },
+        ...globals
+    });
+    fileNames.forEach(fileName => {
+        vm.runInContext(fs.readFileSync(path.join(SITE_DIR, fileName), 'utf8'), context, { filename: fileName });
+    });
+    return { context, errors };
+}
+
+module.exports = { loadAppsScript, loadBrowserScripts };
@@ -0,0 +1,49 @@
+/**
+ * --------------------------------------------------------------------
+ * Event Locations
+ * --------------------------------------------------------------------
+ * The `Coordenadas` cell is typed by hand, so parseCoordinates (location.js)
+ * must accept the usual ways of writing a position and reject anything
+ * that is not one, in which case the directions go to the address.
+ * --------------------------------------------------------------------
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadBrowserScripts } = require('./harness');
+
+const { parseCoordinates, buildDirectionsLinks } = loadBrowserScripts(['location.js']).context;
+
+test.describe('parseCoordinates', () => {
+    ['-34.6037, -58.3816', '-34.6037,-58.3816', ' -34.6037 -58.3816 ', '-34.6037; -58.3816'].forEach(text => {
+        test(`reads ${JSON.stringify(text)}`, () => {
+            assert.deepEqual({ ...parseCoordinates(text) }, { latitude: -34.6037, longitude: -58.3816 });
+        });
+    });
+
+    [null, '', 'Av. Siempreviva 742', '-34.6037', '91, 0', '0, 181', '0, 0', '-34,6037, -58,3816'].forEach(text => {
+        test(`rejects ${JSON.stringify(text)}`, () => {
+            assert.equal(parseCoordinates(text), null);
+        });
+    });
+});
+
+test.describe('buildDirectionsLinks', () => {
+    test('goes to the coordinates when there are any', () => {
+        const links = buildDirectionsLinks({ coordinates: { latitude: -34.6, longitude: -58.4 }, address: 'Calle Falsa 123', name: 'Salón (centro)' });
+        assert.equal(links.googleMaps, 'https://www.google.com/maps/dir/?api=1&destination=-34.6,-58.4');
+        assert.equal(links.waze, 'https://waze.com/ul?ll=-34.6,-58.4&navigate=yes');
+        assert.equal(links.appleMaps, 'https://maps.apple.com/?daddr=-34.6,-58.4');
+        assert.equal(links.geo, 'geo:-34.6,-58.4?q=-34.6,-58.4(Sal%C3%B3n%20centro)');
+    });
+
+    test('goes to the address without coordinates', () => {
+        const links = buildDirectionsLinks({ coordinates: null, address: 'Calle Falsa 123, Buenos Aires', name: null });
+        assert.equal(links.googleMaps, 'https://www.google.com/maps/dir/?api=1&destination=Calle%20Falsa%20123%2C%20Buenos%20Aires');
+        assert.equal(links.geo, 'geo:0,0?q=Calle%20Falsa%20123%2C%20Buenos%20Aires');
+    });
+
+    test('has nothing to offer without either', () => {
+        assert.equal(buildDirectionsLinks({ coordinates: null, address: null, name: 'Salón' }), null);
+    });
+});
@@ -0,0 +1,109 @@
+/**
+ * --------------------------------------------------------------------
+ * Section Links
+ * --------------------------------------------------------------------
+ * A link may name a section in its hash, e.g. `?i=CODE#fiesta`.
+ * getSectionFromHash (script.js) must find it, and treat a hash that
+ * names nothing, malformed escapes included, as no hash at all rather
+ * than failing the page. setupNavigation may be called both after the
+ * page is built and after a later failure; the second call must not
+ * add the key, swipe and history listeners again.
+ * --------------------------------------------------------------------
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadBrowserScripts } = require('./harness');
+
+const location = { search: '?i=demo', hash: '' };
+const sectionNames = ['portada', 'invitacion', 'fiesta', 'no-code'];
+const { context } = loadBrowserScripts(['config.js', 'i18n.js', 'locales/es.js', 'data.js', 'video.js', 'script.js'], {
+    document: {
+        addEventListener() {},
+        querySelectorAll: () => sectionNames.map(section => ({ dataset: { section } }))
+    },
+    window: { location },
+    navigator: { languages: ['es'] }
+});
+
+test.describe('getSectionFromHash', () => {
+    [
+        ['#fiesta', 'fiesta'],
+        ['#fi%65sta', 'fiesta'],
+        ['#portada', 'portada'],
+        ['', null],
+        ['#civil', null],
+        ['#no-code', null],
+        ['#%E0', null],
+        ['#%', null],
+        ['#fiesta%ZZ', null]
+    ].forEach(([hash, section]) => {
+        test(`reads ${hash || 'no hash'} as ${section}`, () => {
+            location.hash = hash;
+            assert.equal(context.getSectionFromHash(), section);
+        });
+    });
+
+    test('does not throw when the hash has a malformed escape', () => {
+        location.hash = '#%E0%A4%A';
+        assert.doesNotThrow(() => context.openSectionFromHash());
+        assert.equal(context.openSectionFromHash(), false);
+    });
+});
+
+/**
+ * Creates a stand-in for an element that records the listeners added to it.
+ * @param {Object} [properties] More properties of the element.
+ * @returns {Object} The element, with its listeners by event type in `listeners`.
+ */
+function createElement(properties = {}) {
+    const listeners = {};
+    return {
+        listeners,
+        dataset: {},
+        classList: { add() {}, remove() {}, toggle() {}, contains: () => false },
+        setAttribute() {},
+        addEventListener: (type) => { listeners[type] = (listeners[type] || 0) + 1; },
+        ...properties
+    };
+}
+
+test.describe('setupNavigation', () => {
+    const dots = [];
+    const sections = sectionNames.slice(0, 3).map(section => createElement({ dataset: { section } }));
+    const container = createElement({ scrollTo() {} });
+    const indicators = createElement({
+        appendChild: dot => dots.push(dot),
+        querySelectorAll: () => dots
+    });
+    const elements = {
+        '.scroll-container': container,
+        '.indicator-container': indicators,
+        '.scroll-h-button.left': createElement(),
+        '.scroll-h-button.right': createElement()
+    };
+    const document = createElement({
+        body: createElement(),
+        querySelector: selector => elements[selector] || null,
+        querySelectorAll: selector => (selector === '.scroll-section' ? sections : []),
+        getElementById: () => ({ content: { cloneNode: () => ({ firstElementChild: createElement() }) } })
+    });
+    const window = createElement({ location: { search: '?i=demo', hash: '' } });
+    const { context } = loadBrowserScripts(['config.js', 'i18n.js', 'locales/es.js', 'data.js', 'video.js', 'script.js'], {
+        document,
+        window,
+        navigator: { languages: ['es'] },
+        IntersectionObserver: class { observe() {} }
+    });
+
+    test('adds its listeners once when called again', () => {
+        context.setupNavigation();
+        context.setupNavigation();
+        assert.equal(document.listeners.keydown, 1);
+        assert.equal(window.listeners.popstate, 1);
+        assert.equal(container.listeners.touchstart, 1);
+        assert.equal(container.listeners.touchend, 1);
+        assert.equal(elements['.scroll-h-button.left'].listeners.click, 1);
+        assert.equal(dots.length, sections.length);
+    });
+});
@@ -0,0 +1,92 @@
+/**
+ * --------------------------------------------------------------------
+ * QR Codes
+ * --------------------------------------------------------------------
+ * createQrCode (qrcode.js) must pick the smallest version that fits,
+ * write the format bits of the standard's table for level M, and draw
+ * the same symbols as other encoders. The symbols in vectors/qr.json
+ * come from the qrcode package on npm, with level M. That package scores
+ * finder-like patterns without the quiet zone around the symbol, so it
+ * may pick another mask: the link's symbol was made with the mask
+ * createQrCode picks, 7, and the name's with the package's own choice.
+ * --------------------------------------------------------------------
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadBrowserScripts } = require('./harness');
+const symbols = require('./vectors/qr.json');
+
+const { createQrCode, getQrDataCodewords } = loadBrowserScripts(['qrcode.js']).context;
+
+// The 15 format bits for level M with masks 0 to 7, most significant bit first (ISO/IEC 18004, table C.1).
+const LEVEL_M_FORMAT_BITS = [
+    '101010000010010', '101000100100101', '101111001111100', '101101101001011',
+    '100010111111001', '100000011001110', '100111110010111', '100101010100000'
+];
+
+/**
+ * Reads both copies of the format bits of a symbol.
+ * @param {{size: number, modules: boolean[][]}} qr The QR code.
+ * @returns {string[]} Each copy, most significant bit first.
+ */
+function readFormatBits({ size, modules }) {
+    const dark = (x, y) => (modules[y][x] ? '1' : '0');
+    const first = [];
+    const second = [];
+    for (let i = 0; i < 15; i++) {
+        // Bit i, around the top-left finder, skipping the timing patterns, and split between the other two.
+        if (i <= 5) first.push(dark(8, i));
+        else if (i <= 7) first.push(dark(8, i + 1));
+        else if (i === 8) first.push(dark(7, 8));
+        else first.push(dark(14 - i, 8));
+        second.push(i <= 7 ? dark(size - 1 - i, 8) : dark(8, size - 15 + i));
+    }
+    return [first.reverse().join(''), second.reverse().join('')];
+}
+
+test.describe('version selection', () => {
+    [
+        ['14 bytes fill version 1', 'x'.repeat(14), 21],
+        ['15 bytes need version 2', 'x'.repeat(15), 25],
+        ['26 bytes fill version 2', 'x'.repeat(26), 25],
+        ['27 bytes need version 3', 'x'.repeat(27), 29],
+        ['180 bytes fill version 9', 'x'.repeat(180), 53],
+        ['181 bytes need version 10, with a longer character count', 'x'.repeat(181), 57],
+        ['accented letters count as their UTF-8 bytes', 'ñ'.repeat(8), 25],
+        ['2331 bytes fill version 40', 'x'.repeat(2331), 177]
+    ].forEach(([description, text, size]) => {
+        test(description, () => {
+            assert.equal(createQrCode(text).size, size);
+        });
+    });
+
+    test('rejects text too long for version 40', () => {
+        assert.throws(() => createQrCode('x'.repeat(2332)), { name: 'RangeError' });
+    });
+
+    test('knows the data capacity of each version', () => {
+        assert.deepEqual([1, 2, 7, 10, 40].map(getQrDataCodewords), [16, 28, 124, 216, 2334]);
+    });
+});
+
+test.describe('format bits', () => {
+    ['Muriel y Abel', 'https://abelbour.github.io/bodas/?i=ab3x9k', 'x'.repeat(100)].forEach(text => {
+        test(`are level M, the same in both copies, for ${text.length} characters`, () => {
+            const [first, second] = readFormatBits(createQrCode(text));
+            assert.equal(first, second);
+            assert.ok(LEVEL_M_FORMAT_BITS.includes(first), `${first} is not a level M format`);
+        });
+    });
+});
+
+test.describe('symbols', () => {
+    symbols.forEach(({ text, version, mask, rows }) => {
+        test(`"${text}" matches the reference symbol`, () => {
+            const qr = createQrCode(text);
+            assert.equal(qr.size, version * 4 + 17);
+            assert.equal(readFormatBits(qr)[0], LEVEL_M_FORMAT_BITS[mask]);
+            assert.deepEqual(Array.from(qr.modules, row => row.map(isDark => (isDark ? '#' : '.')).join('')), rows);
+        });
+    });
+});
@@ -0,0 +1,91 @@
+/**
+ * --------------------------------------------------------------------
+ * RSVP Confirmation and Deadlines
+ * --------------------------------------------------------------------
+ * After an answer is sent, the page polls the guest sheet until it shows
+ * it (isRsvpInSheet, script.js). Sending the same answer again with other
+ * details must wait for the new response, not be confirmed by the old one.
+ * Both the invitation and the organizer page read each group's deadline
+ * with getRsvpDeadline (data.js).
+ * --------------------------------------------------------------------
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const vm = require('node:vm');
+const { loadBrowserScripts } = require('./harness');
+
+const { context } = loadBrowserScripts(['config.js', 'i18n.js', 'locales/es.js', 'data.js', 'video.js', 'script.js'], {
+    document: { addEventListener() {} },
+    window: { location: { search: '' } },
+    navigator: { languages: ['es'] }
+});
+const { isRsvpInSheet } = context;
+const { rsvp } = vm.runInContext('invitationConfig', context);
+
+/**
+ * Sets the form entries and sheet columns of the RSVP details for one test.
+ * @param {Object} entries The entry IDs of the details.
+ * @param {Object} columns The guest sheet columns of the details.
+ */
+function configureDetails(entries, columns) {
+    Object.assign(rsvp.entries, { attendees: '', headcount: '', dietary: '', note: '' }, entries);
+    rsvp.columns = { attendees: '', headcount: '', dietary: '', note: '', ...columns };
+}
+
+const sent = { answer: 'Si', details: { attendees: ['Ana Ejemplo', 'Juan Ejemplo'], dietary: 'Sin gluten', note: '' } };
+
+test.describe('isRsvpInSheet', () => {
+    test('compares only the answer when no detail is configured', () => {
+        configureDetails({}, {});
+        assert.equal(isRsvpInSheet({ Confirmado: 'Si' }, sent), true);
+        assert.equal(isRsvpInSheet({ Confirmado: 'No' }, sent), false);
+        assert.equal(isRsvpInSheet(null, sent), false);
+    });
+
+    test('waits for the attendees sent with the same answer', () => {
+        configureDetails({ attendees: 'entry.1' }, { attendees: 'Asistentes' });
+        assert.equal(isRsvpInSheet({ Confirmado: 'Si', Asistentes: 'Ana Ejemplo' }, sent), false);
+        assert.equal(isRsvpInSheet({ Confirmado: 'Si', Asistentes: 'Juan Ejemplo,  Ana Ejemplo' }, sent), true);
+    });
+
+    test('compares the headcount and the dietary needs', () => {
+        configureDetails({ headcount: 'entry.2', dietary: 'entry.3' }, { headcount: 'Cantidad Asistentes', dietary: 'Dieta' });
+        assert.equal(isRsvpInSheet({ Confirmado: 'Si', 'Cantidad Asistentes': '2', Dieta: '' }, sent), false);
+        assert.equal(isRsvpInSheet({ Confirmado: 'Si', 'Cantidad Asistentes': '1', Dieta: 'Sin gluten' }, sent), false);
+        assert.equal(isRsvpInSheet({ Confirmado: 'Si', 'Cantidad Asistentes': '2', Dieta: ' Sin gluten ' }, sent), true);
+    });
+
+    test('ignores a column whose question is not in the form', () => {
+        configureDetails({}, { attendees: 'Asistentes' });
+        assert.equal(isRsvpInSheet({ Confirmado: 'Si', Asistentes: '' }, sent), true);
+    });
+
+    test('compares only the answer of answers stored without details', () => {
+        configureDetails({ attendees: 'entry.1' }, { attendees: 'Asistentes' });
+        assert.equal(isRsvpInSheet({ Confirmado: 'No', Asistentes: 'Ana Ejemplo' }, { answer: 'No' }), true);
+    });
+});
+
+test.describe('deadlines', () => {
+    const organizer = loadBrowserScripts(['config.js', 'data.js', 'organizador.js'], {
+        document: { addEventListener() {} }
+    }).context;
+    const { deadline } = vm.runInContext('invitationConfig.rsvp', organizer);
+    const asked = { Recepcion: 'Si', Confirmado: '' };
+    const dayAfter = new Date('2025-11-02T12:00:00-03:00');
+
+    test('a group\'s own date wins over the configured one', () => {
+        assert.equal(organizer.getRsvpDeadline({ Plazo: '2025-11-10' }), '2025-11-10');
+        assert.equal(organizer.getRsvpStatus({ ...asked, Plazo: '2025-11-10' }, dayAfter), 'pending');
+        assert.equal(organizer.getRsvpStatus(asked, dayAfter), 'overdue');
+    });
+
+    test('the organizer page ignores the same malformed dates as the invitation', () => {
+        ['10/11/2025', '2025-11-10 o antes', 'noviembre'].forEach(plazo => {
+            assert.equal(organizer.getRsvpDeadline({ Plazo: plazo }), deadline);
+            assert.equal(context.getRsvpDeadline({ Plazo: plazo }), deadline);
+            assert.equal(organizer.getRsvpStatus({ ...asked, Plazo: plazo }, dayAfter), 'overdue');
+        });
+    });
+});
@@ -0,0 +1,115 @@
+/**
+ * --------------------------------------------------------------------
+ * Event Timeline
+ * --------------------------------------------------------------------
+ * The countdown, the event-day page and the thanks after the wedding
+ * all depend on the time, read from invitationClock (script.js). These
+ * tests set that clock before, during and after the events and check
+ * what startEventTimeline opens and what its timer shows later on.
+ * --------------------------------------------------------------------
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const vm = require('node:vm');
+const { loadBrowserScripts } = require('./harness');
+
+/**
+ * Creates a stand-in element that remembers whether it is hidden.
+ * @returns {{hidden: boolean, textContent: string, classList: Object}} The element.
+ */
+function createElement() {
+    const element = {
+        hidden: false,
+        textContent: '',
+        classList: {
+            toggle: (name, force) => {
+                if (name === 'hidden') element.hidden = force;
+            }
+        }
+    };
+    return element;
+}
+
+/**
+ * Loads the page scripts with a document holding only the countdown and the thanks.
+ * @returns {{context: Object, clock: Object, elements: Object, scrolls: string[], timers: Function[]}} The
+ *     scripts' scope, their clock, the stand-in elements, the sections scrolled to and the started timers.
+ */
+function loadPage() {
+    const elements = {
+        '[data-section="portada"] .countdown': createElement(),
+        '[data-section="contratapa"] .thanks': createElement()
+    };
+    const timers = [];
+    const document = {
+        addEventListener() {},
+        getElementById: () => null,
+        querySelector: selector => elements[selector] || null,
+        querySelectorAll: () => []
+    };
+    const { context } = loadBrowserScripts(['config.js', 'i18n.js', 'locales/es.js', 'data.js', 'video.js', 'script.js'], {
+        document,
+        window: { location: { search: '' } },
+        navigator: { languages: ['es'] },
+        setInterval: callback => timers.push(callback)
+    });
+    const scrolls = [];
+    context.scrollToSectionId = id => scrolls.push(id);
+    const clock = vm.runInContext('invitationClock', context);
+    return { context, clock, elements, scrolls, timers };
+}
+
+// Two events on 21 November 2025 in Buenos Aires (UTC-3).
+const calendarEvents = [
+    { id: 'civil', start: new Date('2025-11-21T17:00:00-03:00'), end: new Date('2025-11-21T18:00:00-03:00'), timeZone: 'America/Argentina/Buenos_Aires' },
+    { id: 'fiesta', start: new Date('2025-11-21T21:00:00-03:00'), end: new Date('2025-11-22T02:00:00-03:00'), timeZone: 'America/Argentina/Buenos_Aires' }
+];
+
+/**
+ * Starts the timeline at a moment.
+ * @param {string} moment The time, as an ISO string.
+ * @returns {Object} What loadPage returns.
+ */
+function startAt(moment) {
+    const page = loadPage();
+    page.clock.now = () => new Date(moment).getTime();
+    page.context.startEventTimeline(calendarEvents);
+    return page;
+}
+
+test.describe('startEventTimeline', () => {
+    test('before the event day it counts down and stays on the cover', () => {
+        const { elements, scrolls } = startAt('2025-11-10T12:00:00-03:00');
+        assert.deepEqual(scrolls, []);
+        assert.equal(elements['[data-section="portada"] .countdown'].hidden, false);
+        assert.notEqual(elements['[data-section="portada"] .countdown'].textContent, '');
+        assert.equal(elements['[data-section="contratapa"] .thanks'].hidden, true);
+    });
+
+    test('on the event day it opens the next event', () => {
+        const { scrolls } = startAt('2025-11-21T10:00:00-03:00');
+        assert.deepEqual(scrolls, ['civil']);
+    });
+
+    test('during an event it opens that event and hides the countdown', () => {
+        const { elements, scrolls } = startAt('2025-11-21T22:00:00-03:00');
+        assert.deepEqual(scrolls, ['fiesta']);
+        assert.equal(elements['[data-section="portada"] .countdown'].hidden, true);
+    });
+
+    test('after the last event it opens the thanks', () => {
+        const { elements, scrolls } = startAt('2025-11-23T12:00:00-03:00');
+        assert.deepEqual(scrolls, ['contratapa']);
+        assert.equal(elements['[data-section="contratapa"] .thanks'].hidden, false);
+    });
+
+    test('its timer reads the clock again', () => {
+        const { clock, elements, timers } = startAt('2025-11-21T23:00:00-03:00');
+        assert.equal(elements['[data-section="contratapa"] .thanks'].hidden, true);
+
+        clock.now = () => new Date('2025-11-22T03:00:00-03:00').getTime();
+        timers.forEach(timer => timer());
+        assert.equal(elements['[data-section="contratapa"] .thanks'].hidden, false);
+    });
+});
@@ -0,0 +1,107 @@
+/**
+ * --------------------------------------------------------------------
+ * Open Tracking
+ * --------------------------------------------------------------------
+ * tracking.js reports an invitation once per device, and UPDATE_OPENS
+ * (tracking.gs) boils the log down to each group's first open, and its
+ * first open on the newest device, in the guest sheet.
+ * --------------------------------------------------------------------
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const vm = require('node:vm');
+const { loadAppsScript, loadBrowserScripts } = require('./harness');
+
+test.describe('shouldTrackOpen', () => {
+    const storage = new Map();
+    const { context } = loadBrowserScripts(['config.js', 'tracking.js'], {
+        localStorage: {
+            getItem: key => (storage.has(key) ? storage.get(key) : null),
+            setItem: (key, value) => storage.set(key, value)
+        },
+        navigator: { sendBeacon: () => true },
+        window: { location: { search: '' } }
+    });
+    const config = vm.runInContext('invitationConfig', context);
+    config.tracking.url = 'https://example.com/exec';
+    const sheets = { name: 'sheets' };
+    const params = new URLSearchParams();
+
+    test.beforeEach(() => storage.clear());
+
+    test('reports a first visit', () => {
+        assert.equal(context.shouldTrackOpen('demo', sheets, params), true);
+    });
+
+    test('does not report an invitation this device already reported', () => {
+        storage.set('opened:demo', '2025-10-01T12:30:00.000Z');
+        assert.equal(context.shouldTrackOpen('demo', sheets, params), false);
+        assert.equal(context.shouldTrackOpen('otro', sheets, params), true);
+    });
+
+    test('does not report previews or the organizers\' browser', () => {
+        assert.equal(context.shouldTrackOpen('demo', sheets, new URLSearchParams('preview=1')), false);
+        assert.equal(context.shouldTrackOpen('demo', { name: 'static' }, params), false);
+        context.markOrganizerBrowser();
+        assert.equal(context.shouldTrackOpen('demo', sheets, params), false);
+    });
+});
+
+/**
+ * Creates a stand-in for a sheet holding the given rows.
+ * @param {Array<Array<*>>} rows The rows, starting with the header.
+ * @returns {{sheet: Object, written: Object}} The sheet, and the columns written to it by number.
+ */
+function createSheet(rows) {
+    const written = {};
+    const sheet = {
+        getDataRange: () => ({ getValues: () => rows, getDisplayValues: () => rows }),
+        getRange: (row, column) => {
+            const range = {
+                setNumberFormat: () => range,
+                setValues: values => {
+                    written[column] = Array.from(values, ([value]) => value);
+                    return range;
+                }
+            };
+            return range;
+        }
+    };
+    return { sheet, written };
+}
+
+test.describe('UPDATE_OPENS', () => {
+    test('keeps the first and the latest open of each group', () => {
+        const { context } = loadAppsScript(['xxtea.gs', 'common.gs', 'tracking.gs']);
+        const hash = code => context.LOOKUP_HASH(code, vm.runInContext('LOOKUP_KEY', context));
+        // UPDATE_OPENS checks for dates with instanceof, so they must come from the script's realm.
+        const ScriptDate = vm.runInContext('Date', context);
+        const at = iso => new ScriptDate(iso);
+        const log = createSheet([
+            ['Fecha', 'Codigo', 'Evento', 'Abierta', 'Idioma', 'Secciones'],
+            [at('2025-10-02T15:00:00Z'), 'demo', 'abierta', '', 'es', ''],
+            [at('2025-10-01T12:30:00Z'), 'demo', 'abierta', '', 'es', ''],
+            [at('2025-10-05T09:00:00Z'), ' demo ', 'abierta', '', 'en', ''],
+            [at('2025-10-03T10:00:00Z'), 'otro', 'abierta', '', 'es', ''],
+            ['', 'demo', 'abierta', '', 'es', '']
+        ]);
+        const guests = createSheet([
+            ['Indice', 'Nombre', 'PrimeraApertura', 'UltimoDispositivo'],
+            [hash('demo'), 'Familia Ejemplo', '', ''],
+            [hash('otro'), 'Familia Prueba', '', ''],
+            [hash('nunca'), 'Familia Ausente', '', '']
+        ]);
+        context.SpreadsheetApp = {
+            getActiveSpreadsheet: () => ({
+                getSpreadsheetTimeZone: () => 'UTC',
+                getSheetByName: name => ({ Aperturas: log.sheet, Invitados: guests.sheet })[name]
+            })
+        };
+        context.Utilities.formatDate = date => date.toISOString().slice(0, 16).replace('T', ' ');
+
+        context.UPDATE_OPENS();
+        assert.deepEqual(guests.written[3], ['2025-10-01 12:30', '2025-10-03 10:00', '']);
+        assert.deepEqual(guests.written[4], ['2025-10-05 09:00', '2025-10-03 10:00', '']);
+    });
+});
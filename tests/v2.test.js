@@ -0,0 +1,111 @@
+/**
+ * --------------------------------------------------------------------
+ * v2 Compatibility
+ * --------------------------------------------------------------------
+ * ENCRYPT_V2 in xxtea.gs implements PBKDF2-SHA-256, AES-256 and GCM by
+ * hand, and decryptField (crypto.js) reads its output with Web Crypto.
+ * The vectors in vectors/v2.json were made with Web Crypto, so matching
+ * them byte for byte checks the hand-written code against a real
+ * implementation. Every value has its own salt, so each one xxtea.gs
+ * encrypts or decrypts costs a PBKDF2 derivation in plain JavaScript,
+ * a second or two; the tests keep to a few values.
+ * --------------------------------------------------------------------
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadAppsScript, loadBrowserScripts } = require('./harness');
+const vectors = require('./vectors/v2.json');
+
+const appsScript = loadAppsScript('xxtea.gs');
+const browser = loadBrowserScripts(['xxtea.min.js', 'crypto.js']).context;
+
+/**
+ * Converts hex to the byte values xxtea.gs works with.
+ * @param {string} hex The hex text.
+ * @returns {number[]} The bytes.
+ */
+function hexToBytes(hex) {
+    return Array.from(Buffer.from(hex, 'hex'));
+}
+
+/**
+ * Changes one byte of a v2 ciphertext.
+ * @param {string} ciphertext The "v2:" ciphertext.
+ * @param {number} index The byte to flip; negative counts from the end, where the tag is.
+ * @returns {string} The altered ciphertext.
+ */
+function flipByte(ciphertext, index) {
+    const bytes = Buffer.from(ciphertext.slice('v2:'.length), 'base64');
+    bytes[(index + bytes.length) % bytes.length] ^= 0x01;
+    return 'v2:' + bytes.toString('base64');
+}
+
+test.describe('vectors', () => {
+    vectors.forEach(vector => {
+        test.describe(vector.name, () => {
+            test('xxtea.gs encrypts to the Web Crypto ciphertext', () => {
+                const ciphertext = appsScript.context.encryptV2ToBase64(vector.plaintext, vector.key, hexToBytes(vector.salt), hexToBytes(vector.iv));
+                assert.equal(ciphertext, vector.ciphertext);
+            });
+
+            test('decryptField decrypts it', async () => {
+                assert.equal(await browser.decryptField(vector.ciphertext, vector.key), vector.plaintext);
+            });
+
+            test('xxtea.gs decrypts it', () => {
+                assert.equal(appsScript.context.DECRYPT_V2(vector.ciphertext, vector.key), vector.plaintext);
+            });
+
+            test('decryptField decrypts nothing with the wrong key', async () => {
+                assert.equal(await browser.decryptField(vector.ciphertext, vector.wrongKey), null);
+            });
+        });
+    });
+
+    test('xxtea.gs decrypts nothing with the wrong key', () => {
+        assert.equal(appsScript.context.DECRYPT_V2(vectors[0].ciphertext, vectors[0].wrongKey), '');
+    });
+});
+
+test.describe('altered ciphertexts', () => {
+    const vector = vectors[0];
+    const altered = {
+        'a changed tag': flipByte(vector.ciphertext, -1),
+        'a changed ciphertext byte': flipByte(vector.ciphertext, 16 + 12),
+        'a changed IV': flipByte(vector.ciphertext, 16)
+    };
+    Object.entries(altered).forEach(([description, ciphertext]) => {
+        test(`${description} fails the tag check on both sides`, async () => {
+            assert.equal(await browser.decryptField(ciphertext, vector.key), null);
+            assert.equal(appsScript.context.DECRYPT_V2(ciphertext, vector.key), '');
+        });
+    });
+});
+
+test.describe('ENCRYPT_V2', () => {
+    test('round-trips through decryptField', async () => {
+        const ciphertext = appsScript.context.ENCRYPT_V2('Familia Ejemplo', 'demo');
+        assert.match(ciphertext, /^v2:/);
+        assert.equal(await browser.decryptField(ciphertext, 'demo'), 'Familia Ejemplo');
+    });
+
+    test('uses a fresh salt and IV for every value', () => {
+        const [first, second] = ['Ana Ejemplo', 'Juan Ejemplo'].map(name => {
+            const bytes = Buffer.from(appsScript.context.ENCRYPT_V2(name, 'demo').slice('v2:'.length), 'base64');
+            return { salt: bytes.subarray(0, 16).toString('base64'), iv: bytes.subarray(16, 28).toString('base64') };
+        });
+        assert.notEqual(first.salt, second.salt);
+        assert.notEqual(first.iv, second.iv);
+    });
+
+    test('caches its results but nothing that decrypts other values', () => {
+        const ciphertext = appsScript.context.ENCRYPT_V2('Ana Ejemplo', 'demo');
+        assert.match(ciphertext, /^v2:/);
+        // Recalculating a cell gives the same ciphertext instead of deriving a key again.
+        assert.equal(appsScript.context.ENCRYPT_V2('Ana Ejemplo', 'demo'), ciphertext);
+        const cached = Array.from(appsScript.cache.values());
+        assert.ok(cached.every(value => value.startsWith('v2:') || vectors.some(vector => vector.plaintext === value) || value === ''),
+            'the cache holds only ciphertexts and decrypted values');
+    });
+});
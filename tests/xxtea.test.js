@@ -0,0 +1,101 @@
+/**
+ * --------------------------------------------------------------------
+ * XXTEA Compatibility
+ * --------------------------------------------------------------------
+ * The guest sheet is encrypted by xxtea.gs in Apps Script and decrypted
+ * by xxtea.min.js through decryptField (crypto.js) in the browser. Both
+ * must agree on every byte: the UTF-8 encoding of the text and the key,
+ * the zero-padding of keys shorter than 16 bytes and the Base64 alphabet.
+ * The shared vectors in vectors/xxtea.json pin the expected ciphertexts.
+ * --------------------------------------------------------------------
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadAppsScript, loadBrowserScripts } = require('./harness');
+const vectors = require('./vectors/xxtea.json');
+
+const appsScript = loadAppsScript('xxtea.gs').context;
+const browser = loadBrowserScripts(['xxtea.min.js', 'crypto.js']).context;
+
+test.describe('vectors', () => {
+    vectors.forEach(vector => {
+        test.describe(vector.name, () => {
+            test('xxtea.gs encrypts to the expected ciphertext', () => {
+                assert.equal(appsScript.XXTEA_ENCRYPT(vector.plaintext, vector.key), vector.ciphertext);
+            });
+
+            test('xxtea.min.js encrypts to the expected ciphertext', () => {
+                assert.equal(browser.XXTEA.encryptToBase64(vector.plaintext, vector.key), vector.ciphertext);
+            });
+
+            test('decryptField decrypts it', async () => {
+                assert.equal(await browser.decryptField(vector.ciphertext, vector.key), vector.plaintext);
+            });
+
+            test('xxtea.gs decrypts it', () => {
+                assert.equal(appsScript.XXTEA_DECRYPT(vector.ciphertext, vector.key), vector.plaintext);
+            });
+
+            test('the wrong key decrypts nothing', async () => {
+                assert.equal(await browser.decryptField(vector.ciphertext, vector.wrongKey), null);
+                assert.equal(appsScript.XXTEA_DECRYPT(vector.ciphertext, vector.wrongKey), '');
+            });
+        });
+    });
+});
+
+test.describe('whitespace-mangled Base64', () => {
+    // URL decoding turns "+" into a space, and copying from a sheet can add spaces or line breaks around a cell.
+    const mangled = vectors.filter(vector => vector.ciphertext.includes('+'));
+
+    test('the vectors include ciphertexts with "+"', () => {
+        assert.ok(mangled.length > 0);
+    });
+
+    mangled.forEach(vector => {
+        const variants = {
+            '"+" replaced by spaces': vector.ciphertext.replace(/\+/g, ' '),
+            'surrounding whitespace': ` \t${vector.ciphertext}\r\n`
+        };
+        Object.entries(variants).forEach(([description, ciphertext]) => {
+            test(`${vector.name}: ${description}`, async () => {
+                assert.equal(await browser.decryptField(ciphertext, vector.key), vector.plaintext);
+                assert.equal(appsScript.XXTEA_DECRYPT(ciphertext, vector.key), vector.plaintext);
+            });
+        });
+    });
+});
+
+test.describe('empty values', () => {
+    test('an empty cell stays empty', () => {
+        assert.equal(appsScript.XXTEA_ENCRYPT('', 'demo'), '');
+        assert.equal(appsScript.XXTEA_DECRYPT('', 'demo'), '');
+    });
+
+    test('an empty key is an error in the sheet', () => {
+        assert.equal(appsScript.XXTEA_ENCRYPT('demo', ''), 'ERROR: Key is required.');
+        assert.equal(appsScript.XXTEA_DECRYPT('9SINwuFxP7Q=', ''), 'ERROR: Key is required.');
+    });
+
+    test('decryptField treats empty and missing cells as undecryptable', async () => {
+        assert.equal(await browser.decryptField('', 'demo'), null);
+        assert.equal(await browser.decryptField(undefined, 'demo'), null);
+        assert.equal(await browser.decryptField('9SINwuFxP7Q=', ''), null);
+    });
+});
+
+test.describe('invalid Base64', () => {
+    test('neither side throws', async () => {
+        assert.equal(await browser.decryptField('not base64!', 'demo'), null);
+        assert.equal(appsScript.XXTEA_DECRYPT('not base64!', 'demo'), '');
+    });
+});
+
+test.describe('lookup hashes', () => {
+    ['demo', 'prueba', 'ab3x9k', 'código'].forEach(code => {
+        test(`LOOKUP_HASH matches hashLookupCode for "${code}"`, async () => {
+            assert.equal(appsScript.LOOKUP_HASH(code, 'bodas'), await browser.hashLookupCode(code, 'bodas'));
+        });
+    });
+});